@@ -29,6 +29,9 @@ function init() {
     const container = document.getElementById('scene-container');
     container.appendChild(renderer.domElement);
 
+    // Read a shared design from the URL before the model loads
+    pendingDesign = readDesignFromURL();
+
     // Add lights
     setupLights();
 
@@ -39,8 +42,14 @@ function init() {
     controls.autoRotate = true;
     controls.autoRotateSpeed = 0.5;
 
-    // Load the FBX model
-    loadModel();
+    // Hover/click part picking with outlines
+    setupPartPicking();
+
+    // Colorways are needed for model defaults and the colorway panel
+    colorwaysReady = loadColorways();
+
+    // Load the model catalog and the first (or linked) model
+    initModelCatalog();
 
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
@@ -68,74 +77,116 @@ function setupLights() {
     scene.add(fillLight);
 }
 
-function loadModel() {
-    const loader = new THREE.FBXLoader();
+// Load a catalog entry (FBX, glTF or GLB); carriedColors maps part display names to colors
+function loadModel(entry, carriedColors = null) {
+    const isGLTF = /\.(glb|gltf)$/i.test(entry.file);
+    const loader = isGLTF ? new THREE.GLTFLoader() : new THREE.FBXLoader();
+
+    return new Promise((resolve, reject) => {
+        loader.load(
+            entry.file,
+            function (result) {
+                console.log('Model loaded successfully!', entry.id);
+                onModelLoaded(isGLTF ? result.scene : result, entry, carriedColors, isGLTF);
+                resolve();
+            },
+            function (progress) {
+                console.log('Loading progress:', (progress.loaded / progress.total * 100) + '%');
+            },
+            function (error) {
+                console.error('Error loading model:', error);
+                // Show error message in UI
+                const controlsContainer = document.getElementById('controls-container');
+                controlsContainer.innerHTML = `
+                    <div style="color: #e74c3c; text-align: center; padding: 20px;">
+                        <p>❌ Failed to load model</p>
+                        <small>Make sure '${entry.file}' exists</small>
+                    </div>
+                `;
+                reject(error);
+            }
+        );
+    });
+}
 
-    loader.load(
-        'public/sport_shoes_speed_shape.fbx',
-        function (object) {
-            console.log('Model loaded successfully!');
-            loadedModel = object;
+function onModelLoaded(object, entry, carriedColors, keepMaps = false) {
+    loadedModel = object;
+    currentModel = entry;
 
-            // Scale the model to much larger size (300% bigger = 4x current size)
-            object.scale.set(0.36, 0.36, 0.36);
+    // Traverse all child meshes
+    object.traverse(function (child) {
+        // Decals baked into an exported model are fixed geometry, not parts
+        if (child.isMesh && child.userData.decalId) {
+            child.userData = {};
+            return;
+        }
 
-            // Traverse all child meshes
-            object.traverse(function (child) {
-                if (child.isMesh) {
-                    console.log('Mesh name:', child.name);
-                    console.log('Material name:', child.material ? child.material.name : 'No material');
+        if (child.isMesh) {
+            // Parts are keyed by name, so make sure every mesh has a unique one
+            let meshName = child.name || 'part';
+            for (let i = 2; meshMap[meshName]; i++) {
+                meshName = `${child.name || 'part'}_${i}`;
+            }
+            child.name = meshName;
+
+            console.log('Mesh name:', child.name);
+            console.log('Material name:', child.material ? child.material.name : 'No material');
+
+            // Store mesh in dictionary
+            meshMap[child.name] = child;
+
+            // Ensure mesh has a physical material so finishes can use sheen/clearcoat
+            if (!child.material || Array.isArray(child.material) || !child.material.isMeshPhysicalMaterial) {
+                const source = Array.isArray(child.material) ? child.material[0] : child.material;
+                child.material = new THREE.MeshPhysicalMaterial({
+                    color: source && source.color ? source.color : 0x888888,
+                    // glTF (e.g. our own 3D exports) carries its texture along
+                    map: keepMaps && source ? source.map : null
+                });
+            }
+            applyFinish(child, 'standard');
 
-                    // Store mesh in dictionary
-                    meshMap[child.name] = child;
+            // Enable shadows
+            child.castShadow = true;
+            child.receiveShadow = true;
+        }
+    });
 
-                    // Ensure mesh has a proper material
-                    if (!child.material || !child.material.isMeshStandardMaterial) {
-                        child.material = new THREE.MeshStandardMaterial({
-                            color: child.material ? child.material.color : 0x888888
-                        });
-                    }
+    // Fit the model to a common size instead of per-file magic numbers
+    fitModelToView(object, entry.scale || 1);
 
-                    // Enable shadows
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
+    // Add to scene
+    scene.add(object);
 
-            // Center the model
-            const box = new THREE.Box3().setFromObject(object);
-            const center = box.getCenter(new THREE.Vector3());
-            object.position.sub(center);
+    // Generate UI controls
+    generateColorControls();
 
-            // Add to scene
-            scene.add(object);
+    if (pendingDesign) {
+        // Apply a design shared through the URL, if any
+        applyLinkedDesign();
+    } else {
+        applyModelDefaults(entry, carriedColors);
+    }
 
-            // Generate UI controls
-            generateColorControls();
+    // Enable design save/open
+    setupDesignFileControls();
 
-            // Enable export button
-            enableExportButton();
+    // Enable undo/redo
+    setupHistoryControls();
 
-            // Initialize mobile panel after model loads
+    // Enable text/logo decals
+    setupDecalControls();
 
-            // Re-setup mobile panel toggle after model loads
-            setupMobilePanelToggle();
-        },
-        function (progress) {
-            console.log('Loading progress:', (progress.loaded / progress.total * 100) + '%');
-        },
-        function (error) {
-            console.error('Error loading model:', error);
-            // Show error message in UI
-            const controlsContainer = document.getElementById('controls-container');
-            controlsContainer.innerHTML = `
-                <div style="color: #e74c3c; text-align: center; padding: 20px;">
-                    <p>❌ Failed to load model</p>
-                    <small>Make sure 'sport_shoes_speed_shape.fbx' exists in the 'public' folder</small>
-                </div>
-            `;
-        }
-    );
+    // Enable colorway presets and harmonies
+    setupColorwayControls();
+
+    // Enable export button
+    enableExportButton();
+
+    // Initialize mobile panel after model loads
+
+    // Re-setup mobile panel toggle after model loads
+    setupMobilePanelToggle();
 }
 
 function generateColorControls() {
@@ -155,7 +206,7 @@ function generateColorControls() {
     // Generate color picker for each mesh
     meshNames.forEach(meshName => {
         const mesh = meshMap[meshName];
-        const cleanName = cleanMeshName(meshName);
+        const cleanName = `${partDisplayName(meshName)} Color`;
 
         // Get current color
         const currentColor = mesh.material.color.getHexString();
@@ -163,12 +214,20 @@ function generateColorControls() {
         // Create control element
         const controlDiv = document.createElement('div');
         controlDiv.className = 'color-control';
+        controlDiv.dataset.mesh = meshName;
         controlDiv.innerHTML = `
             <label class="color-control-label">${cleanName}</label>
             <div class="color-input-wrapper">
                 <input type="color" class="color-input" value="#${currentColor}" data-mesh="${meshName}">
                 <input type="text" class="color-value" value="#${currentColor}" readonly>
             </div>
+            <div class="finish-wrapper">
+                <span class="finish-label">Finish</span>
+                <select class="finish-select" data-mesh="${meshName}">
+                    ${Object.keys(MATERIAL_FINISHES).map(id => `<option value="${id}">${MATERIAL_FINISHES[id].label}</option>`).join('')}
+                </select>
+            </div>
+            ${buildTextureControls(meshName)}
         `;
 
         // Add event listener
@@ -180,15 +239,47 @@ function generateColorControls() {
             const mesh = meshMap[this.dataset.mesh];
 
             if (mesh && mesh.material) {
+                // Picker drags coalesce into a single history step
+                beginPartEdit(`color:${this.dataset.mesh}`);
                 mesh.material.color.setHex(newColor.replace('#', '0x'));
                 colorValue.value = newColor;
+                scheduleDesignLinkUpdate();
+                scheduleEditCommit();
             }
         });
 
+        // Picker closed - finish the history step
+        colorInput.addEventListener('change', commitPartEdit);
+
+        const finishSelect = controlDiv.querySelector('.finish-select');
+        finishSelect.value = mesh.userData.finish || 'standard';
+        finishSelect.addEventListener('change', function () {
+            const finishId = this.value;
+            recordPartEdit(`finish:${this.dataset.mesh}`, () => {
+                applyFinish(meshMap[this.dataset.mesh], finishId);
+            });
+            scheduleDesignLinkUpdate();
+        });
+
+        bindTextureControls(controlDiv, meshName);
+
+        // Panel to model: hovering or using a control highlights its mesh
+        controlDiv.addEventListener('mouseenter', () => setHoveredPart(meshName));
+        controlDiv.addEventListener('mouseleave', () => setHoveredPart(null));
+        controlDiv.addEventListener('focusin', () => selectPart(meshName));
+
         controlsContainer.appendChild(controlDiv);
     });
 }
 
+// Part name from the catalog part map, falling back to the cleaned mesh name
+function partDisplayName(meshName) {
+    if (currentModel && currentModel.parts && currentModel.parts[meshName]) {
+        return currentModel.parts[meshName];
+    }
+    return cleanMeshName(meshName).replace(/ Color$/, '');
+}
+
 function cleanMeshName(name) {
     // Clean up mesh names for display
     return name
@@ -207,11 +298,13 @@ function onWindowResize() {
         camera.aspect = window.innerWidth / (window.innerHeight * 0.5);
         camera.updateProjectionMatrix();
         renderer.setSize(window.innerWidth, window.innerHeight * 0.5);
+        if (composer) composer.setSize(window.innerWidth, window.innerHeight * 0.5);
     } else {
         // Desktop or mobile collapsed - use full screen
         camera.aspect = window.innerWidth / window.innerHeight;
         camera.updateProjectionMatrix();
         renderer.setSize(window.innerWidth, window.innerHeight);
+        if (composer) composer.setSize(window.innerWidth, window.innerHeight);
     }
 }
 
@@ -221,21 +314,67 @@ function animate() {
     // Update controls
     controls.update();
 
-    // Render scene
-    renderer.render(scene, camera);
+    // Render scene (through the outline composer once picking is set up)
+    if (composer) {
+        composer.render();
+    } else {
+        renderer.render(scene, camera);
+    }
 }
 
 // Export functionality
-let originalCameraPosition = null;
-let originalCameraTarget = null;
+const EXPORT_SCALE_RATIO = 0.7; // Export pair is a little smaller than the viewer model
+const EXPORT_PAIR_OFFSET = 1.0; // Each shoe's distance from the center of the pair
+const EXPORT_PAIR_ANGLE = 0.15; // Each shoe turns slightly outwards
+const EXPORT_VIEW_DIRECTION = new THREE.Vector3(6, 7, 8).normalize(); // 3/4 view like reference image
+const EXPORT_MAX_SIZE = 3840; // 4K
+const EXPORT_MAX_RENDER_SIZE = 8192; // Supersampled render target limit
+
+const EXPORT_SIZE_PRESETS = {
+    square: { label: 'Square 1080 × 1080 (social)', width: 1080, height: 1080 },
+    portrait: { label: 'Portrait 4:5 1080 × 1350', width: 1080, height: 1350 },
+    landscape: { label: 'Landscape 16:9 1920 × 1080', width: 1920, height: 1080 },
+    classic: { label: 'Classic 3:2 1200 × 800', width: 1200, height: 800 },
+    uhd: { label: '4K 16:9 3840 × 2160', width: 3840, height: 2160 },
+    custom: { label: 'Custom…' }
+};
+
+const EXPORT_FORMATS = {
+    png: { label: 'PNG', mime: 'image/png', extension: 'png' },
+    jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg' },
+    webp: { label: 'WebP', mime: 'image/webp', extension: 'webp' }
+};
+
+let exportRenderer = null;
+let exportScene = null;
+let exportPreviewTimer = null;
 
 function enableExportButton() {
+    if (window.exportListenersAdded) return;
+    window.exportListenersAdded = true;
+
     const exportBtn = document.getElementById('export-btn');
     exportBtn.disabled = false;
-    exportBtn.addEventListener('click', exportToPNG);
+    exportBtn.addEventListener('click', openExportDialog);
+
+    const shareBtn = document.getElementById('share-link-btn');
+    shareBtn.disabled = false;
+    shareBtn.addEventListener('click', copyDesignLink);
+
+    const modelExportBtn = document.getElementById('export-model-btn');
+    modelExportBtn.disabled = false;
+    modelExportBtn.addEventListener('click', exportModelFile);
+
+    const sheetBtn = document.getElementById('product-sheet-btn');
+    sheetBtn.disabled = false;
+    sheetBtn.addEventListener('click', exportProductSheet);
+
+    const turntableBtn = document.getElementById('turntable-btn');
+    turntableBtn.disabled = false;
+    turntableBtn.addEventListener('click', showTurntableModal);
 }
 
-function exportToPNG() {
+function openExportDialog() {
     const exportBtn = document.getElementById('export-btn');
 
     // Show exporting state
@@ -243,75 +382,42 @@ function exportToPNG() {
     exportBtn.textContent = '📸 Generating...';
     exportBtn.disabled = true;
 
-    // Store current camera position
-    originalCameraPosition = camera.position.clone();
-    originalCameraTarget = controls.target.clone();
-
-    // Disable auto rotation temporarily
-    const wasAutoRotating = controls.autoRotate;
-    controls.autoRotate = false;
-
-    // Set export camera position (3/4 view like reference image)
-    setExportCameraPosition();
-
-    // Wait a frame for camera to update, then generate preview
+    // Give the button a frame to update before the (blocking) render
     setTimeout(() => {
-        // Render at export position
-        controls.update();
-        renderer.render(scene, camera);
-
-        // Create high-resolution preview
-        createHighResPreview();
-
-        // Show preview modal
         showPreviewModal();
+        createHighResPreview();
 
-        // Restore camera position
-        setTimeout(() => {
-            restoreCameraPosition();
-            controls.autoRotate = wasAutoRotating;
-
-            // Reset button state
-            exportBtn.classList.remove('exporting');
-            exportBtn.textContent = '📸 Preview Export';
-            exportBtn.disabled = false;
-        }, 100);
-
-    }, 100);
+        // Reset button state
+        exportBtn.classList.remove('exporting');
+        exportBtn.textContent = '📸 Preview Export';
+        exportBtn.disabled = false;
+    }, 50);
 }
 
-function createHighResPreview() {
-    // Create a high-resolution canvas for preview
-    const previewCanvas = document.getElementById('preview-canvas');
-    const ctx = previewCanvas.getContext('2d');
-
-    // Set high resolution (2x display size)
-    const width = 1200;
-    const height = 800;
-    previewCanvas.width = width;
-    previewCanvas.height = height;
-
-    // Create temporary high-res renderer with better settings
-    const tempRenderer = new THREE.WebGLRenderer({
-        antialias: true,
-        preserveDrawingBuffer: true,
-        alpha: false
-    });
-    tempRenderer.setSize(width, height);
-    tempRenderer.setPixelRatio(1);
-    tempRenderer.shadowMap.enabled = true;
-    tempRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    tempRenderer.setClearColor(0xf5f5f5, 1); // Neutral light gray background like reference
-
-    // Create temporary scene with improved lighting for export
-    const tempScene = scene.clone();
-
-    // Clear existing lights and add professional lighting
-    tempScene.children = tempScene.children.filter(child => !child.isLight);
+// Read the export options from the modal
+function getExportOptions() {
+    const preset = EXPORT_SIZE_PRESETS[document.getElementById('export-size').value];
+    const clampSize = value => Math.min(EXPORT_MAX_SIZE, Math.max(64, parseInt(value, 10) || 0));
+    const format = document.getElementById('export-format').value;
+
+    return {
+        width: preset.width || clampSize(document.getElementById('export-width').value),
+        height: preset.height || clampSize(document.getElementById('export-height').value),
+        supersampling: parseInt(document.getElementById('export-supersampling').value, 10),
+        background: document.getElementById('export-background').value,
+        color1: document.getElementById('export-color-1').value,
+        color2: document.getElementById('export-color-2').value,
+        format: format,
+        quality: parseFloat(document.getElementById('export-quality').value),
+        pair: document.getElementById('export-framing').value === 'pair'
+    };
+}
 
+// Export lighting rig, shared by every offscreen render
+function addExportLights(targetScene) {
     // Soft ambient light (toned down)
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
-    tempScene.add(ambientLight);
+    targetScene.add(ambientLight);
 
     // Main directional light (key light) - toned down
     const keyLight = new THREE.DirectionalLight(0xffffff, 0.6);
@@ -322,29 +428,167 @@ function createHighResPreview() {
     keyLight.shadow.camera.near = 0.5;
     keyLight.shadow.camera.far = 50;
     keyLight.shadow.bias = -0.0001;
-    tempScene.add(keyLight);
+    targetScene.add(keyLight);
 
     // Fill light (softer, from opposite side) - toned down
     const fillLight = new THREE.DirectionalLight(0xffffff, 0.2);
     fillLight.position.set(-3, 3, -3);
-    tempScene.add(fillLight);
+    targetScene.add(fillLight);
 
     // Rim light (from behind) - toned down
     const rimLight = new THREE.DirectionalLight(0xffffff, 0.15);
     rimLight.position.set(-2, 4, -8);
-    tempScene.add(rimLight);
+    targetScene.add(rimLight);
+}
+
+// Lit scene shared by every offscreen render, so light shadow maps are only allocated once
+function getExportScene() {
+    if (!exportScene) {
+        exportScene = new THREE.Scene();
+        addExportLights(exportScene);
+    }
+    return exportScene;
+}
+
+// One offscreen renderer reused for every export, creating contexts per render leaks them
+function getExportRenderer(width, height) {
+    if (!exportRenderer) {
+        exportRenderer = new THREE.WebGLRenderer({
+            antialias: true,
+            preserveDrawingBuffer: true,
+            alpha: true
+        });
+        exportRenderer.setPixelRatio(1);
+        exportRenderer.shadowMap.enabled = true;
+        exportRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    }
+
+    exportRenderer.setSize(width, height);
+    exportRenderer.setClearColor(0x000000, 0);
+    return exportRenderer;
+}
+
+// Camera looking along `direction` at the object's bounding sphere, fitted to the frame
+function createFittedCamera(object, aspect, direction, up = new THREE.Vector3(0, 1, 0), padding = 1.08) {
+    const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+    const exportCamera = new THREE.PerspectiveCamera(35, aspect, 0.1, 1000);
+
+    const verticalHalf = THREE.MathUtils.degToRad(exportCamera.fov / 2);
+    const horizontalHalf = Math.atan(Math.tan(verticalHalf) * aspect);
+    const distance = sphere.radius * padding / Math.sin(Math.min(verticalHalf, horizontalHalf));
+
+    exportCamera.position.copy(sphere.center).addScaledVector(direction, distance);
+    exportCamera.near = distance / 100;
+    exportCamera.far = distance * 10;
+    exportCamera.up.copy(up);
+    exportCamera.lookAt(sphere.center);
+    exportCamera.updateProjectionMatrix();
+
+    return exportCamera;
+}
+
+// Render an object from a camera offscreen and return a canvas of width × height
+function renderExportView(object, exportCamera, width, height, supersampling) {
+    const scale = Math.max(1, Math.min(supersampling, Math.floor(EXPORT_MAX_RENDER_SIZE / Math.max(width, height))));
+    const viewScene = getExportScene();
+    viewScene.add(object);
+
+    const tempRenderer = getExportRenderer(width * scale, height * scale);
+    tempRenderer.render(viewScene, exportCamera);
+    viewScene.remove(object);
+
+    // Downsample the supersampled render
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(tempRenderer.domElement, 0, 0, width, height);
+
+    return canvas;
+}
+
+// Fill a 2D context with the chosen export background
+function fillExportBackground(ctx, width, height, options) {
+    // JPEG has no alpha channel, fall back to a solid fill
+    const background = options.background === 'transparent' && options.format === 'jpeg' ? 'solid' : options.background;
+
+    if (background === 'solid') {
+        ctx.fillStyle = options.color1;
+        ctx.fillRect(0, 0, width, height);
+    } else if (background === 'gradient') {
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, options.color1);
+        gradient.addColorStop(1, options.color2);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+}
+
+function createHighResPreview() {
+    if (!loadedModel) return;
+
+    const options = getExportOptions();
+    const previewCanvas = document.getElementById('preview-canvas');
+    const ctx = previewCanvas.getContext('2d');
+
+    previewCanvas.width = options.width;
+    previewCanvas.height = options.height;
+
+    // Render the shoe (or pair) offscreen; the interactive camera and scene are never touched
+    const exportObject = buildExportObject(options.pair);
+    const exportCamera = createFittedCamera(exportObject, options.width / options.height, EXPORT_VIEW_DIRECTION);
+    const render = renderExportView(exportObject, exportCamera, options.width, options.height, options.supersampling);
+
+    exportObject.traverse(child => {
+        if (child.isMesh) child.material.dispose();
+    });
+
+    // Compose background and render into the preview, which is also the download source
+    ctx.clearRect(0, 0, options.width, options.height);
+    fillExportBackground(ctx, options.width, options.height, options);
+    ctx.drawImage(render, 0, 0);
+}
+
+// Re-render the preview shortly after the options stop changing
+function scheduleExportPreview() {
+    clearTimeout(exportPreviewTimer);
+    exportPreviewTimer = setTimeout(createHighResPreview, 150);
+}
+
+function updateExportOptionVisibility() {
+    const options = getExportOptions();
+    const isCustom = document.getElementById('export-size').value === 'custom';
 
-    // Render with improved lighting
-    tempRenderer.render(tempScene, camera);
+    document.getElementById('export-custom-size').classList.toggle('hidden', !isCustom);
+    document.getElementById('export-color-2').classList.toggle('hidden', options.background !== 'gradient');
+    document.getElementById('export-color-1').classList.toggle('hidden', options.background === 'transparent' && options.format !== 'jpeg');
+    document.getElementById('export-quality-label').classList.toggle('hidden', options.format === 'png');
 
-    // Copy to preview canvas
-    ctx.drawImage(tempRenderer.domElement, 0, 0);
+    document.getElementById('download-btn').textContent = `💾 Download ${EXPORT_FORMATS[options.format].label}`;
+}
 
-    // Store the high-res data for download
-    window.exportImageData = tempRenderer.domElement.toDataURL('image/png', 1.0);
+function setupExportOptions() {
+    const sizeSelect = document.getElementById('export-size');
+    sizeSelect.innerHTML = Object.keys(EXPORT_SIZE_PRESETS)
+        .map(id => `<option value="${id}">${EXPORT_SIZE_PRESETS[id].label}</option>`)
+        .join('');
+    sizeSelect.value = 'classic';
+
+    const formatSelect = document.getElementById('export-format');
+    formatSelect.innerHTML = Object.keys(EXPORT_FORMATS)
+        .map(id => `<option value="${id}">${EXPORT_FORMATS[id].label}</option>`)
+        .join('');
+
+    document.querySelectorAll('.export-option').forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+            updateExportOptionVisibility();
+            scheduleExportPreview();
+        });
+    });
 
-    // Clean up temp renderer
-    tempRenderer.dispose();
+    updateExportOptionVisibility();
 }
 
 function showPreviewModal() {
@@ -353,6 +597,7 @@ function showPreviewModal() {
 
     // Add event listeners if not already added
     if (!window.modalListenersAdded) {
+        setupExportOptions();
         setupModalEventListeners();
         window.modalListenersAdded = true;
     }
@@ -384,20 +629,28 @@ function setupModalEventListeners() {
 
     // Download button
     downloadBtn.addEventListener('click', () => {
-        if (window.exportImageData) {
-            // Create download link
-            const link = document.createElement('a');
-            link.download = `customized-sneakers-${Date.now()}.png`;
-            link.href = window.exportImageData;
+        const options = getExportOptions();
+        const format = EXPORT_FORMATS[options.format];
+        const previewCanvas = document.getElementById('preview-canvas');
+
+        // Make sure a pending live update has landed before saving
+        clearTimeout(exportPreviewTimer);
+        createHighResPreview();
+
+        previewCanvas.toBlob((blob) => {
+            // toBlob hands back null when the canvas is too large to encode
+            if (!blob) {
+                console.error('Error exporting image: encoding failed');
+                downloadBtn.textContent = '❌ Export failed - try a smaller size';
+                setTimeout(updateExportOptionVisibility, 2000);
+                return;
+            }
 
-            // Trigger download
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            downloadBlob(blob, `customized-sneakers-${Date.now()}.${format.extension}`);
 
             // Close modal after download
             closeModal();
-        }
+        }, format.mime, options.quality);
     });
 
     // ESC key to close
@@ -408,72 +661,6 @@ function setupModalEventListeners() {
     });
 }
 
-function setExportCameraPosition() {
-    // Create a temporary pair of shoes for export
-    if (loadedModel) {
-        // Clone the model for the second shoe
-        const secondShoe = loadedModel.clone();
-
-        // Copy materials to ensure same colors
-        secondShoe.traverse(function (child) {
-            if (child.isMesh && child.material) {
-                child.material = child.material.clone();
-            }
-        });
-
-        // Scale up both shoes for better visibility
-        const exportScale = 0.25; // Way bigger scale for export
-        loadedModel.scale.set(exportScale, exportScale, exportScale);
-        secondShoe.scale.set(exportScale, exportScale, exportScale);
-
-        // Position the original shoe (left shoe) - more spacing
-        loadedModel.position.set(-1.0, 0, 0);
-        loadedModel.rotation.y = -0.15; // Slight angle
-
-        // Position the second shoe (right shoe) - more spacing
-        secondShoe.position.set(1.0, 0, 0);
-        secondShoe.rotation.y = 0.15; // Slight angle opposite direction
-
-        // Add second shoe temporarily
-        scene.add(secondShoe);
-
-        // Store reference for cleanup
-        window.tempSecondShoe = secondShoe;
-    }
-
-    // Professional camera position - much further back for way bigger shoes
-    camera.position.set(6, 7, 8);
-    camera.lookAt(0, 0, 0); // Look at the center of the shoes
-
-    // Disable orbit controls during export for consistent framing
-    controls.enabled = false;
-}
-
-function restoreCameraPosition() {
-    // Clean up temporary second shoe
-    if (window.tempSecondShoe) {
-        scene.remove(window.tempSecondShoe);
-        window.tempSecondShoe = null;
-    }
-
-    // Restore original model position and scale
-    if (loadedModel) {
-        loadedModel.position.set(0, 0, 0);
-        loadedModel.rotation.y = 0;
-        loadedModel.scale.set(0.36, 0.36, 0.36); // Restore original scale
-    }
-
-    // Re-enable orbit controls
-    controls.enabled = true;
-
-    // Restore camera position
-    if (originalCameraPosition && originalCameraTarget) {
-        camera.position.copy(originalCameraPosition);
-        controls.target.copy(originalCameraTarget);
-        controls.update();
-    }
-}
-
 // Mobile panel collapse functionality
 
 function setupMobilePanelToggle() {
@@ -538,6 +725,7 @@ function setupMobilePanelToggle() {
             const width = window.innerWidth;
             const height = window.innerHeight * 0.5;
             renderer.setSize(width, height);
+            if (composer) composer.setSize(width, height);
 
             // Update camera aspect ratio
             if (camera) {
@@ -550,6 +738,7 @@ function setupMobilePanelToggle() {
             const width = window.innerWidth;
             const height = window.innerHeight;
             renderer.setSize(width, height);
+            if (composer) composer.setSize(width, height);
 
             // Update camera aspect ratio
             if (camera) {
@@ -591,6 +780,7 @@ function initializeMobilePanel() {
         // Ensure renderer is full screen initially
         if (renderer) {
             renderer.setSize(window.innerWidth, window.innerHeight);
+            if (composer) composer.setSize(window.innerWidth, window.innerHeight);
             if (camera) {
                 camera.aspect = window.innerWidth / window.innerHeight;
                 camera.updateProjectionMatrix();
@@ -600,660 +790,6008 @@ function initializeMobilePanel() {
 }
 
 // ============================================================================
-// AR FUNCTIONALITY
+// DESIGN STATE & SHAREABLE LINKS
 // ============================================================================
 
-// AR Mode Variables
-let isARMode = false;
-let arVideo = null;
-let arOverlayCanvas = null;
-let arOverlayContext = null;
-let ar3DCanvas = null;
-let arCamera = null;
-let arRenderer = null;
-let arScene = null;
-let arShoeModel = null;
-let pose = null;
-let videoStream = null;
-let isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+// Version 1: part colors only (early share links)
+// Version 2: adds format tag, model file, metadata and material settings
+const DESIGN_FORMAT = 'sneaker-design';
+const DESIGN_VERSION = 2;
+
+// Share links carry the design as deflated JSON in base64url, e.g. /d/<encoded>
+const DESIGN_LINK_PATTERN = /^\/d\/([A-Za-z0-9_-]+)\/?$/;
+let pendingDesign = null;
+let designLinkTimer = null;
+let designMetadata = {
+    name: 'Untitled design',
+    created: new Date().toISOString()
+};
+
+// Capture the current customization as a plain design object
+// Share links pass includeImages: false since uploaded images don't fit in a URL,
+// history passes imageRef to swap image data for a short reference
+function serializeDesign(options = {}) {
+    const includeImages = options.includeImages !== false;
+    const imageRef = options.imageRef || (image => image);
+    const parts = {};
+
+    Object.keys(meshMap).forEach(meshName => {
+        const mesh = meshMap[meshName];
+        if (!meshName || !mesh.material) return;
+
+        parts[meshName] = {
+            color: '#' + mesh.material.color.getHexString(),
+            finish: mesh.userData.finish || 'standard',
+            material: {
+                roughness: mesh.material.roughness,
+                metalness: mesh.material.metalness
+            }
+        };
 
-// AR Initialization
-function initAR() {
-    console.log('Initializing AR...');
+        const texture = mesh.userData.texture;
+        if (texture && (texture.source !== 'image' || includeImages)) {
+            parts[meshName].texture = Object.assign({}, texture);
+            if (texture.image) parts[meshName].texture.image = imageRef(texture.image);
+        }
+    });
 
-    // Get AR elements
-    arVideo = document.getElementById('ar-video');
-    arOverlayCanvas = document.getElementById('ar-overlay-canvas');
-    ar3DCanvas = document.getElementById('ar-3d-canvas');
-    arOverlayContext = arOverlayCanvas.getContext('2d');
+    return {
+        format: DESIGN_FORMAT,
+        version: DESIGN_VERSION,
+        model: { id: currentModel.id, file: currentModel.file },
+        metadata: {
+            name: designMetadata.name,
+            created: designMetadata.created
+        },
+        parts: parts,
+        decals: decals
+            .filter(decal => decal.kind !== 'image' || includeImages)
+            .map(decal => {
+                const { image, ...rest } = decal;
+                const copy = JSON.parse(JSON.stringify(rest));
+                if (image !== undefined) copy.image = imageRef(image);
+                return copy;
+            })
+    };
+}
 
-    // Initialize DeepAR
-    window.deepAR = new DeepAR({
-        licenseKey: 'ce194bb1cfa2ce9089b69a4bcbf3c2a1b87542ba8e27ac094cc44542c5bba5efefdcef80dadc2b11',
-        canvas: ar3DCanvas
-    });
-    window.deepAR.initialize().then(() => {
-        console.log('DeepAR initialized successfully');
-        // Load the shoe try-on effect
-        window.deepAR.switchEffect(0, 'public/shoe_tryon.deepar');
-    }).catch((err) => {
-        console.error('DeepAR initialization failed:', err);
-    });
+// Apply a design object to the loaded meshes, returns names of parts not found
+function applyDesign(design) {
+    const missingParts = [];
+    if (!design || !design.parts) return missingParts;
+
+    Object.keys(design.parts).forEach(meshName => {
+        const mesh = meshMap[meshName];
+        const part = design.parts[meshName];
 
-    // Initialize MediaPipe Pose
-    pose = new Pose({
-        locateFile: (file) => {
-            return `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`;
+        if (!mesh || !mesh.material) {
+            missingParts.push(meshName);
+            return;
         }
-    });
 
-    pose.setOptions({
-        modelComplexity: 1,
-        smoothLandmarks: true,
-        enableSegmentation: false,
-        smoothSegmentation: false,
-        minDetectionConfidence: 0.7, // Higher confidence for better detection
-        minTrackingConfidence: 0.6
-    });
+        if (part.color) {
+            mesh.material.color.set(part.color);
+        }
 
-    pose.onResults(onPoseResults);
+        // Finish first so explicit material values can override it
+        if (part.finish) {
+            applyFinish(mesh, part.finish);
+        }
 
-    // Setup AR event listeners
-    setupAREventListeners();
+        if (part.material) {
+            if (typeof part.material.roughness === 'number') mesh.material.roughness = part.material.roughness;
+            if (typeof part.material.metalness === 'number') mesh.material.metalness = part.material.metalness;
+        }
 
-    console.log('AR initialized successfully');
-}
+        if (part.texture) {
+            applyPartTexture(mesh, part.texture);
+        } else {
+            clearPartTexture(mesh);
+        }
+    });
 
-// Setup AR Event Listeners
-function setupAREventListeners() {
-    const arModeBtn = document.getElementById('ar-mode-btn');
-    const normalModeBtn = document.getElementById('normal-mode-btn');
-    const arCaptureBtn = document.getElementById('ar-capture-btn');
+    // Decals are part of the full design state, rebuild them from scratch
+    setDecals(design.decals || []).forEach(meshName => {
+        if (!missingParts.includes(meshName)) missingParts.push(meshName);
+    });
 
-    if (arModeBtn) {
-        arModeBtn.addEventListener('click', enterARMode);
+    if (design.metadata) {
+        designMetadata = {
+            name: design.metadata.name || designMetadata.name,
+            created: design.metadata.created || designMetadata.created
+        };
+        syncDesignNameInput();
     }
 
-    if (normalModeBtn) {
-        normalModeBtn.addEventListener('click', exitARMode);
-    }
+    // Keep the panel in sync with the new materials
+    syncPartControls();
 
-    if (arCaptureBtn) {
-        arCaptureBtn.addEventListener('click', captureARPhoto);
-    }
+    return missingParts;
 }
 
-// Enter AR Mode
-async function enterARMode() {
-    console.log('Entering AR mode...');
+// Refresh every part control from its mesh material
+function syncPartControls() {
+    document.querySelectorAll('.color-control').forEach(controlDiv => {
+        const colorInput = controlDiv.querySelector('.color-input');
+        const colorValue = controlDiv.querySelector('.color-value');
+        const finishSelect = controlDiv.querySelector('.finish-select');
+        const mesh = colorInput ? meshMap[colorInput.dataset.mesh] : null;
 
-    try {
-        updateARStatus('Requesting camera permission...', 'detecting');
+        if (mesh && mesh.material) {
+            const hex = '#' + mesh.material.color.getHexString();
+            colorInput.value = hex;
+            colorValue.value = hex;
 
-        // Get camera constraints based on device type
-        const constraints = {
-            video: {
-                width: { ideal: 1280 },
-                height: { ideal: 720 },
-                facingMode: isMobile ? 'environment' : 'user', // Back camera on mobile, front on desktop
-                frameRate: { ideal: 30 }
-            },
-            audio: false
-        };
+            if (finishSelect) {
+                finishSelect.value = mesh.userData.finish || 'standard';
+            }
 
-        // Request camera access
-        videoStream = await navigator.mediaDevices.getUserMedia(constraints);
-        arVideo.srcObject = videoStream;
+            syncTextureControls(controlDiv, mesh);
+        }
+    });
+}
 
-        // Wait for video to load and play
-        await new Promise((resolve) => {
-            arVideo.onloadedmetadata = () => {
-                arVideo.play();
-                console.log('Video loaded:', arVideo.videoWidth, 'x', arVideo.videoHeight);
-                resolve();
-            };
-        });
+function encodeDesign(design) {
+    const bytes = fflate.deflateSync(fflate.strToU8(JSON.stringify(design)), { level: 9 });
 
-        // Setup AR scene
-        setupARScene();
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
 
-        // Show AR UI
-        showARInterface();
+    // base64url so the result is safe inside a path segment
+    return btoa(binary)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
 
-        // Start pose detection
-        updateARStatus('Looking for feet...', 'detecting');
-        startPoseDetection();
+function decodeDesign(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
 
-        isARMode = true;
+    return JSON.parse(fflate.strFromU8(fflate.inflateSync(bytes)));
+}
 
-        console.log('AR mode activated successfully');
+// Read a design from a /d/<encoded> link
+function readDesignFromURL() {
+    const match = window.location.pathname.match(DESIGN_LINK_PATTERN);
+    if (!match) return null;
 
+    try {
+        const design = migrateDesign(decodeDesign(match[1]));
+        console.log('Loaded design from link:', design);
+        return design;
     } catch (error) {
-        console.error('Error entering AR mode:', error);
-        updateARStatus('Camera access denied. Please allow camera permission.', 'error');
-
-        // Handle different error cases
-        if (error.name === 'NotAllowedError') {
-            updateARStatus('Camera permission denied. Please enable camera access.', 'error');
-        } else if (error.name === 'NotFoundError') {
-            updateARStatus('No camera found. Please connect a camera.', 'error');
-        } else {
-            updateARStatus('Camera error. Please try again.', 'error');
-        }
+        console.warn('Ignoring invalid design link:', error);
+        return null;
     }
 }
 
-// Exit AR Mode
-function exitARMode() {
-    console.log('Exiting AR mode...');
+// Apply the design read from the URL once the model is ready
+function applyLinkedDesign() {
+    if (!pendingDesign) return;
 
-    // Stop camera stream
-    if (videoStream) {
-        videoStream.getTracks().forEach(track => track.stop());
-        videoStream = null;
+    const missingParts = applyDesign(pendingDesign);
+    if (missingParts.length > 0) {
+        console.warn('Design link references unknown parts:', missingParts);
     }
 
-    // Hide AR UI
-    hideARInterface();
+    pendingDesign = null;
+}
 
-    // Reset AR status
-    updateARStatus('Looking for feet...', '');
+function getDesignLink() {
+    return `${window.location.origin}/d/${encodeDesign(serializeDesign({ includeImages: false }))}`;
+}
 
-    isARMode = false;
+// Keep the address bar pointing at the current design while editing
+function scheduleDesignLinkUpdate() {
+    if (window.location.protocol === 'file:') return;
 
-    console.log('AR mode deactivated');
+    clearTimeout(designLinkTimer);
+    designLinkTimer = setTimeout(() => {
+        window.history.replaceState(null, '', `/d/${encodeDesign(serializeDesign({ includeImages: false }))}`);
+    }, 300);
 }
 
-// Setup AR Scene
-function setupARScene() {
-    // Create AR-specific Three.js scene
-    arScene = new THREE.Scene();
+async function copyDesignLink() {
+    const shareBtn = document.getElementById('share-link-btn');
+    const link = getDesignLink();
 
-    // Create AR camera with different settings optimized for foot AR
-    arCamera = new THREE.PerspectiveCamera(
-        60, // Slightly narrower FOV for better perspective
-        ar3DCanvas.width / ar3DCanvas.height,
-        0.1,
-        100
-    );
+    const hasUploads = Object.values(meshMap).some(mesh => mesh.userData.texture && mesh.userData.texture.source === 'image');
 
-    // Position camera for better AR perspective
-    arCamera.position.set(0, 0, 5);
-    arCamera.lookAt(0, 0, 0);
+    try {
+        await navigator.clipboard.writeText(link);
+        shareBtn.textContent = hasUploads ? '✅ Copied (without uploads)' : '✅ Link Copied!';
+    } catch (error) {
+        // Clipboard API unavailable (e.g. insecure context) - let the user copy manually
+        console.warn('Clipboard write failed:', error);
+        window.prompt('Copy this design link:', link);
+    }
+
+    setTimeout(() => {
+        shareBtn.textContent = '🔗 Copy Share Link';
+    }, 2000);
+}
+
+// ============================================================================
+// DESIGN FILES (SAVE / OPEN)
+// ============================================================================
+
+const DESIGN_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Version 1 designs could only have been made for the original shoe
+const LEGACY_MODEL_ID = 'speed-shape';
+const LEGACY_MODEL_FILE = 'public/sport_shoes_speed_shape.fbx';
+
+// Each migration upgrades a design by exactly one version
+const DESIGN_MIGRATIONS = {
+    1: design => {
+        const parts = {};
+        Object.keys(design.parts || {}).forEach(meshName => {
+            parts[meshName] = { color: design.parts[meshName].color };
+        });
+
+        return {
+            format: DESIGN_FORMAT,
+            version: 2,
+            model: { id: LEGACY_MODEL_ID, file: LEGACY_MODEL_FILE },
+            metadata: {
+                name: 'Untitled design',
+                created: new Date().toISOString()
+            },
+            parts: parts
+        };
+    }
+};
+
+// Validate a design document, throws with every problem found
+function validateDesign(design) {
+    const problems = [];
+
+    if (!design || typeof design !== 'object') {
+        throw new Error('Design file is not a JSON object');
+    }
+
+    if (!Number.isInteger(design.version) || design.version < 1) {
+        problems.push('missing or invalid "version"');
+    } else if (design.version > DESIGN_VERSION) {
+        problems.push(`version ${design.version} is newer than this app supports (${DESIGN_VERSION})`);
+    }
+
+    // Version 1 predates the format tag
+    if (design.version > 1 && design.format !== DESIGN_FORMAT) {
+        problems.push(`"format" must be "${DESIGN_FORMAT}"`);
+    }
+
+    if (design.model !== undefined && (!design.model || typeof design.model !== 'object' ||
+        (design.model.id !== undefined && typeof design.model.id !== 'string'))) {
+        problems.push('invalid "model"');
+    }
+
+    if (!design.parts || typeof design.parts !== 'object' || Array.isArray(design.parts)) {
+        problems.push('missing "parts" object');
+    } else {
+        Object.keys(design.parts).forEach(meshName => {
+            const part = design.parts[meshName];
+
+            if (!part || typeof part !== 'object') {
+                problems.push(`part "${meshName}" is not an object`);
+                return;
+            }
+
+            if (part.color !== undefined && !DESIGN_COLOR_PATTERN.test(part.color)) {
+                problems.push(`part "${meshName}" has invalid color "${part.color}"`);
+            }
+
+            if (part.finish !== undefined && !MATERIAL_FINISHES[part.finish]) {
+                problems.push(`part "${meshName}" has unknown finish "${part.finish}"`);
+            }
+
+            if (part.texture !== undefined) {
+                validateTextureState(part.texture).forEach(problem => {
+                    problems.push(`part "${meshName}" texture ${problem}`);
+                });
+            }
+
+            if (part.material) {
+                ['roughness', 'metalness'].forEach(key => {
+                    const value = part.material[key];
+                    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+                        problems.push(`part "${meshName}" has invalid ${key} "${value}"`);
+                    }
+                });
+            }
+        });
+    }
+
+    if (design.decals !== undefined) {
+        if (!Array.isArray(design.decals)) {
+            problems.push('"decals" must be an array');
+        } else {
+            design.decals.forEach((decal, index) => {
+                validateDecalState(decal).forEach(problem => {
+                    problems.push(`decal ${index + 1} ${problem}`);
+                });
+            });
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid design: ${problems.join('; ')}`);
+    }
+}
+
+// Validate and bring an older design up to DESIGN_VERSION
+function migrateDesign(design) {
+    validateDesign(design);
+
+    let migrated = design;
+    while (migrated.version < DESIGN_VERSION) {
+        const migrate = DESIGN_MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration from design version ${migrated.version}`);
+        }
+
+        console.log(`Migrating design from version ${migrated.version}`);
+        migrated = migrate(migrated);
+    }
+
+    validateDesign(migrated);
+    return migrated;
+}
+
+function setupDesignFileControls() {
+    if (window.designFileListenersAdded) return;
+    window.designFileListenersAdded = true;
+
+    const nameInput = document.getElementById('design-name');
+    const saveBtn = document.getElementById('save-design-btn');
+    const openBtn = document.getElementById('open-design-btn');
+    const fileInput = document.getElementById('design-file-input');
+
+    syncDesignNameInput();
+
+    nameInput.addEventListener('input', () => {
+        designMetadata.name = nameInput.value.trim() || 'Untitled design';
+        scheduleDesignLinkUpdate();
+    });
+
+    saveBtn.disabled = false;
+    saveBtn.addEventListener('click', saveDesignFile);
+
+    openBtn.disabled = false;
+    openBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) {
+            openDesignFile(file);
+        }
+
+        // Allow re-opening the same file
+        fileInput.value = '';
+    });
+}
+
+function syncDesignNameInput() {
+    const nameInput = document.getElementById('design-name');
+    if (nameInput) {
+        nameInput.value = designMetadata.name;
+    }
+}
+
+function saveDesignFile() {
+    const design = serializeDesign();
+    const blob = new Blob([JSON.stringify(design, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${designSlug()}.json`);
+
+    updateDesignStatus(`💾 Saved "${designMetadata.name}"`, 'success');
+}
+
+async function openDesignFile(file) {
+    try {
+        const design = migrateDesign(JSON.parse(await file.text()));
+
+        // Designs for another catalog model switch the viewer to it first
+        const modelId = design.model && design.model.id;
+        if (modelId && modelId !== currentModel.id) {
+            if (getCatalogEntry(modelId)) {
+                await switchModel(modelId, { carryColors: false });
+
+                // switchModel reports its own failures and returns, so check it actually switched
+                if (!currentModel || currentModel.id !== modelId) {
+                    const entry = getCatalogEntry(modelId);
+                    throw new Error(`Could not switch to ${entry.name || entry.id} for this design`);
+                }
+            } else {
+                console.warn('Design was made for a model not in the catalog:', modelId);
+            }
+        }
+
+        let missingParts = [];
+        recordPartEdit('open-design', () => {
+            missingParts = applyDesign(design);
+        });
+        scheduleDesignLinkUpdate();
+
+        if (missingParts.length > 0) {
+            updateDesignStatus(`Opened with ${missingParts.length} missing part(s): ${missingParts.join(', ')}`, 'warning');
+        } else {
+            updateDesignStatus(`📂 Opened "${designMetadata.name}"`, 'success');
+        }
+    } catch (error) {
+        console.error('Error opening design:', error);
+        updateDesignStatus(error instanceof SyntaxError ? 'File is not valid JSON' : error.message, 'error');
+    }
+}
+
+// Update the status line under the design buttons
+function updateDesignStatus(message, type = '') {
+    const statusElement = document.getElementById('design-status');
+    if (statusElement) {
+        statusElement.textContent = message;
+        statusElement.className = `design-status ${type}`;
+    }
+}
+
+// ============================================================================
+// EDIT HISTORY (UNDO / REDO)
+// ============================================================================
+
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 800; // Picker pauses longer than this start a new step
+let undoStack = [];
+let redoStack = [];
+let pendingEdit = null;
+let editCommitTimer = null;
+
+// Uploaded images are stored once here and snapshots only hold their ids, so steps stay small
+let historyImages = new Map(); // id → data URL
+let historyImageIds = new Map(); // data URL → id
+let nextHistoryImageId = 1;
+
+// Part state tracked by history (metadata such as the design name is not an edit)
+function captureEditState() {
+    const design = serializeDesign({ imageRef: getHistoryImageRef });
+    delete design.metadata;
+    return design;
+}
+
+function getHistoryImageRef(image) {
+    if (!historyImageIds.has(image)) {
+        const id = `history-image-${nextHistoryImageId++}`;
+        historyImageIds.set(image, id);
+        historyImages.set(id, image);
+    }
+    return historyImageIds.get(image);
+}
+
+// A snapshot with its image ids swapped back for the image data, ready for applyDesign
+function restoreEditState(state) {
+    const design = JSON.parse(JSON.stringify(state));
+    const resolve = item => {
+        if (item && historyImages.has(item.image)) item.image = historyImages.get(item.image);
+    };
+
+    Object.values(design.parts || {}).forEach(part => resolve(part.texture));
+    (design.decals || []).forEach(resolve);
+    return design;
+}
+
+// Forget images no snapshot refers to any more
+function pruneHistoryImages() {
+    const used = new Set();
+    const collect = state => {
+        Object.values(state.parts || {}).forEach(part => part.texture && used.add(part.texture.image));
+        (state.decals || []).forEach(decal => used.add(decal.image));
+    };
+
+    undoStack.concat(redoStack).forEach(entry => {
+        collect(entry.before);
+        collect(entry.after);
+    });
+    if (pendingEdit) collect(pendingEdit.before);
+
+    historyImages.forEach((image, id) => {
+        if (used.has(id)) return;
+        historyImages.delete(id);
+        historyImageIds.delete(image);
+    });
+}
+
+// Start an edit; repeated calls with the same key extend the same step
+function beginPartEdit(key) {
+    if (pendingEdit && pendingEdit.key === key) return;
+
+    commitPartEdit();
+    pendingEdit = {
+        key: key,
+        before: captureEditState()
+    };
+}
+
+// Finish the pending edit and push it onto the undo stack if anything changed
+function commitPartEdit() {
+    clearTimeout(editCommitTimer);
+    if (!pendingEdit) return;
+
+    const after = captureEditState();
+    const before = pendingEdit.before;
+    pendingEdit = null;
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    undoStack.push({ before: before, after: after });
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    pruneHistoryImages();
+
+    updateHistoryButtons();
+}
+
+// Commit automatically once continuous input goes quiet
+function scheduleEditCommit() {
+    clearTimeout(editCommitTimer);
+    editCommitTimer = setTimeout(commitPartEdit, HISTORY_COALESCE_MS);
+}
+
+// Record a discrete edit as one history step
+function recordPartEdit(key, applyEdit) {
+    beginPartEdit(key);
+    applyEdit();
+    commitPartEdit();
+}
+
+function undo() {
+    commitPartEdit();
+
+    const entry = undoStack.pop();
+    if (!entry) return;
+
+    applyDesign(restoreEditState(entry.before));
+    redoStack.push(entry);
+    scheduleDesignLinkUpdate();
+    updateHistoryButtons();
+}
+
+function redo() {
+    commitPartEdit();
+
+    const entry = redoStack.pop();
+    if (!entry) return;
+
+    applyDesign(restoreEditState(entry.after));
+    undoStack.push(entry);
+    scheduleDesignLinkUpdate();
+    updateHistoryButtons();
+}
+
+// Snapshots refer to parts of one model, so history starts over with each model
+function clearHistory() {
+    clearTimeout(editCommitTimer);
+    pendingEdit = null;
+    undoStack = [];
+    redoStack = [];
+    historyImages = new Map();
+    historyImageIds = new Map();
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+
+    if (undoBtn) undoBtn.disabled = undoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = redoStack.length === 0;
+}
+
+function setupHistoryControls() {
+    if (window.historyListenersAdded) return;
+    window.historyListenersAdded = true;
+
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Leave native undo alone inside form fields and editable text
+        const target = e.target;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    updateHistoryButtons();
+}
+
+// ============================================================================
+// MATERIAL FINISHES
+// ============================================================================
+
+// Named finishes; pattern is an optional procedural normal map
+const MATERIAL_FINISHES = {
+    standard: {
+        label: 'Standard',
+        roughness: 1,
+        metalness: 0
+    },
+    leather: {
+        label: 'Leather',
+        roughness: 0.55,
+        metalness: 0,
+        clearcoat: 0.2,
+        clearcoatRoughness: 0.5,
+        pattern: 'grain',
+        normalScale: 0.5,
+        repeat: 6
+    },
+    suede: {
+        label: 'Suede',
+        roughness: 0.95,
+        metalness: 0,
+        sheen: 1,
+        sheenRoughness: 0.8,
+        sheenColor: 0x777777,
+        pattern: 'nap',
+        normalScale: 0.3,
+        repeat: 8
+    },
+    mesh: {
+        label: 'Mesh',
+        roughness: 0.8,
+        metalness: 0,
+        sheen: 0.4,
+        sheenRoughness: 0.6,
+        sheenColor: 0x444444,
+        pattern: 'mesh',
+        normalScale: 1,
+        repeat: 10
+    },
+    patent: {
+        label: 'Patent',
+        roughness: 0.2,
+        metalness: 0,
+        clearcoat: 1,
+        clearcoatRoughness: 0.03
+    },
+    rubber: {
+        label: 'Rubber',
+        roughness: 0.9,
+        metalness: 0,
+        pattern: 'pebble',
+        normalScale: 0.6,
+        repeat: 6
+    }
+};
+
+const FINISH_TEXTURE_SIZE = 256;
+const finishNormalMaps = {};
+
+// Apply a named finish to a mesh material
+function applyFinish(mesh, finishId) {
+    const finish = MATERIAL_FINISHES[finishId];
+    if (!mesh || !mesh.material || !finish) return;
+
+    const material = mesh.material;
+    useFinishNormalMapUv(material);
+    material.roughness = finish.roughness;
+    material.metalness = finish.metalness;
+    material.sheen = finish.sheen || 0;
+    material.sheenRoughness = finish.sheenRoughness !== undefined ? finish.sheenRoughness : 1;
+    material.sheenColor.setHex(finish.sheenColor || 0x000000);
+    material.clearcoat = finish.clearcoat || 0;
+    material.clearcoatRoughness = finish.clearcoatRoughness || 0;
+
+    if (finish.pattern) {
+        material.normalMap = getFinishNormalMap(finish.pattern, finish.repeat);
+        material.normalScale.set(finish.normalScale, finish.normalScale);
+    } else {
+        material.normalMap = null;
+    }
+
+    material.needsUpdate = true;
+    mesh.userData.finish = finishId;
+}
+
+// Build (once) a tileable normal map for a pattern
+function getFinishNormalMap(pattern, repeat) {
+    const cacheKey = `${pattern}:${repeat}`;
+    if (finishNormalMaps[cacheKey]) return finishNormalMaps[cacheKey];
+
+    const size = FINISH_TEXTURE_SIZE;
+    const heights = generateFinishHeights(pattern, size);
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(size, size);
+    const heightAt = (x, y) => heights[((y + size) % size) * size + ((x + size) % size)];
+
+    // Central differences, wrapping at the edges so the map tiles
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const dx = heightAt(x - 1, y) - heightAt(x + 1, y);
+            const dy = heightAt(x, y - 1) - heightAt(x, y + 1);
+            const length = Math.sqrt(dx * dx + dy * dy + 1);
+            const i = (y * size + x) * 4;
+
+            imageData.data[i] = (dx / length * 0.5 + 0.5) * 255;
+            imageData.data[i + 1] = (dy / length * 0.5 + 0.5) * 255;
+            imageData.data[i + 2] = (1 / length * 0.5 + 0.5) * 255;
+            imageData.data[i + 3] = 255;
+        }
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(repeat, repeat);
+
+    finishNormalMaps[cacheKey] = texture;
+    return texture;
+}
+
+const IDENTITY_UV_TRANSFORM = new THREE.Matrix3();
+const normalMapUvUniforms = new WeakMap();
+
+// three r147 samples every map of a material through its `map`'s uv transform, so a part texture
+// would stretch the finish grain to the texture's scale. Part materials give normal maps their own
+function useFinishNormalMapUv(material) {
+    if (material.onBeforeCompile === compileFinishNormalMapUv) return;
+
+    material.onBeforeCompile = compileFinishNormalMapUv;
+    material.customProgramCacheKey = () => 'finish-normal-map-uv';
+    material.onBeforeRender = updateFinishNormalMapUv;
+    material.needsUpdate = true;
+}
+
+function getNormalMapUvUniform(material) {
+    if (!normalMapUvUniforms.has(material)) {
+        normalMapUvUniforms.set(material, { value: new THREE.Matrix3() });
+    }
+    return normalMapUvUniforms.get(material);
+}
+
+function compileFinishNormalMapUv(shader) {
+    shader.uniforms.normalMapTransform = getNormalMapUvUniform(this);
+
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <uv_pars_vertex>', `#include <uv_pars_vertex>
+        #ifdef USE_UV
+            uniform mat3 normalMapTransform;
+            varying vec2 vNormalMapUv;
+        #endif`)
+        .replace('#include <uv_vertex>', `#include <uv_vertex>
+        #ifdef USE_UV
+            vNormalMapUv = ( normalMapTransform * vec3( uv, 1 ) ).xy;
+        #endif`);
+
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <uv_pars_fragment>', `#include <uv_pars_fragment>
+        #ifdef USE_UV
+            varying vec2 vNormalMapUv;
+        #endif`)
+        .replace('#include <normalmap_pars_fragment>', THREE.ShaderChunk.normalmap_pars_fragment.replace(/vUv/g, 'vNormalMapUv'))
+        .replace('#include <normal_fragment_maps>', THREE.ShaderChunk.normal_fragment_maps.replace(/vUv/g, 'vNormalMapUv'));
+}
+
+// Runs before the material's uniforms are uploaded, so the shader sees the current normal map tiling
+function updateFinishNormalMapUv() {
+    getNormalMapUvUniform(this).value.copy(getNormalMapUvTransform(this));
+}
+
+// three only updates the matrix of the map that drives uvTransform, so keep the normal map's current here
+function getNormalMapUvTransform(material) {
+    const texture = material.normalMap || material.map;
+    if (!texture) return IDENTITY_UV_TRANSFORM;
+
+    if (texture.matrixAutoUpdate) texture.updateMatrix();
+    return texture.matrix;
+}
+
+// Height field in 0..1 scaled to pixel units for each pattern
+function generateFinishHeights(pattern, size) {
+    const heights = new Float32Array(size * size);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const u = x / size;
+            const v = y / size;
+            let h = 0;
+
+            if (pattern === 'grain') {
+                // Pebbled leather: two octaves of soft noise
+                h = tileableNoise(u, v, 16, 1) * 2.5 + tileableNoise(u, v, 32, 2) * 1.2;
+            } else if (pattern === 'nap') {
+                // Suede nap: fine fibres
+                h = tileableNoise(u, v, 64, 3) * 1.2 + Math.random() * 0.6;
+            } else if (pattern === 'mesh') {
+                // Engineered mesh: grid of round holes
+                const cells = 16;
+                const cx = (u * cells) % 1 - 0.5;
+                const cy = (v * cells) % 1 - 0.5;
+                const distance = Math.sqrt(cx * cx + cy * cy);
+                h = Math.min(1, Math.max(0, (distance - 0.25) * 8)) * 3;
+            } else if (pattern === 'pebble') {
+                // Rubber: rounded bumps around jittered cell centers
+                h = (1 - tileableCellDistance(u, v, 12, 4)) * 3;
+            }
+
+            heights[y * size + x] = h;
+        }
+    }
+
+    return heights;
+}
+
+// Seeded pseudo-random value for an integer lattice point
+function latticeRandom(x, y, seed) {
+    const n = Math.sin(x * 127.1 + y * 311.7 + seed * 74.7) * 43758.5453;
+    return n - Math.floor(n);
+}
+
+// Smooth value noise that wraps every `cells` lattice cells
+function tileableNoise(u, v, cells, seed) {
+    const x = u * cells;
+    const y = v * cells;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sy = fy * fy * (3 - 2 * fy);
+    const at = (ix, iy) => latticeRandom(((ix % cells) + cells) % cells, ((iy % cells) + cells) % cells, seed);
+
+    const top = at(x0, y0) * (1 - sx) + at(x0 + 1, y0) * sx;
+    const bottom = at(x0, y0 + 1) * (1 - sx) + at(x0 + 1, y0 + 1) * sx;
+    return top * (1 - sy) + bottom * sy;
+}
+
+// Distance to the nearest jittered cell center, wrapping every `cells` cells
+function tileableCellDistance(u, v, cells, seed) {
+    const x = u * cells;
+    const y = v * cells;
+    const cellX = Math.floor(x);
+    const cellY = Math.floor(y);
+    let nearest = 1;
+
+    for (let oy = -1; oy <= 1; oy++) {
+        for (let ox = -1; ox <= 1; ox++) {
+            const ix = cellX + ox;
+            const iy = cellY + oy;
+            const wx = ((ix % cells) + cells) % cells;
+            const wy = ((iy % cells) + cells) % cells;
+            const px = ix + 0.2 + latticeRandom(wx, wy, seed) * 0.6;
+            const py = iy + 0.2 + latticeRandom(wy, wx, seed + 1) * 0.6;
+            nearest = Math.min(nearest, Math.sqrt((x - px) * (x - px) + (y - py) * (y - py)));
+        }
+    }
+
+    return nearest;
+}
+
+// ============================================================================
+// PART TEXTURES & PATTERNS
+// ============================================================================
+
+const TEXTURE_PATTERNS = {
+    camo: 'Camo',
+    checker: 'Checker',
+    gradient: 'Gradient',
+    stripes: 'Stripes'
+};
+
+const PATTERN_TEXTURE_SIZE = 512;
+const UPLOAD_MAX_SIZE = 1024; // Longest edge of uploaded images, keeps design files small
+const patternCanvases = {};
+
+function defaultTextureState(source) {
+    return {
+        source: source,
+        scale: 1,
+        rotation: 0,
+        offsetX: 0,
+        offsetY: 0
+    };
+}
+
+// Apply a texture state ({ source, pattern | image, scale, rotation, offsetX, offsetY }) to a mesh
+function applyPartTexture(mesh, textureState) {
+    if (!mesh || !mesh.material) return;
+
+    const current = mesh.userData.texture;
+    const sameSource = current && current.source === textureState.source &&
+        current.pattern === textureState.pattern && current.image === textureState.image;
+
+    // Only rebuild the texture when its source changes, transforms are cheap
+    if (!sameSource || !mesh.material.map) {
+        disposePartTexture(mesh);
+
+        let texture;
+        if (textureState.source === 'pattern') {
+            texture = new THREE.CanvasTexture(getPatternCanvas(textureState.pattern));
+        } else {
+            texture = new THREE.TextureLoader().load(textureState.image);
+        }
+
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.center.set(0.5, 0.5);
+        mesh.material.map = texture;
+        mesh.material.needsUpdate = true;
+    }
+
+    const texture = mesh.material.map;
+    texture.repeat.set(textureState.scale, textureState.scale);
+    texture.rotation = THREE.MathUtils.degToRad(textureState.rotation);
+    texture.offset.set(textureState.offsetX, textureState.offsetY);
+
+    mesh.userData.texture = Object.assign({}, textureState);
+}
+
+function clearPartTexture(mesh) {
+    if (!mesh || !mesh.material || !mesh.userData.texture) return;
+
+    disposePartTexture(mesh);
+    mesh.material.needsUpdate = true;
+    delete mesh.userData.texture;
+}
+
+function disposePartTexture(mesh) {
+    if (mesh.material.map) {
+        mesh.material.map.dispose();
+        mesh.material.map = null;
+    }
+}
+
+// Light, mostly grayscale patterns so the part color still tints them
+function getPatternCanvas(pattern) {
+    if (patternCanvases[pattern]) return patternCanvases[pattern];
+
+    const size = PATTERN_TEXTURE_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size, size);
+
+    if (pattern === 'checker') {
+        const cell = size / 8;
+        ctx.fillStyle = '#b0b0b0';
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                if ((x + y) % 2 === 1) {
+                    ctx.fillRect(x * cell, y * cell, cell, cell);
+                }
+            }
+        }
+    } else if (pattern === 'stripes') {
+        const stripe = size / 16;
+        ctx.fillStyle = '#9a9a9a';
+        for (let y = 0; y < size; y += stripe * 2) {
+            ctx.fillRect(0, y, size, stripe);
+        }
+    } else if (pattern === 'gradient') {
+        const gradient = ctx.createLinearGradient(0, 0, 0, size);
+        gradient.addColorStop(0, '#ffffff');
+        gradient.addColorStop(1, '#4a4a4a');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+    } else if (pattern === 'camo') {
+        // Seeded blobs drawn with wrap-around so the texture tiles
+        ['#c8c8c8', '#8c8c8c', '#555555'].forEach((tone, layer) => {
+            ctx.fillStyle = tone;
+            for (let i = 0; i < 14; i++) {
+                const cx = latticeRandom(i, layer, 11) * size;
+                const cy = latticeRandom(layer, i, 12) * size;
+                const rx = (0.05 + latticeRandom(i, layer, 13) * 0.08) * size;
+                const ry = (0.03 + latticeRandom(i, layer, 14) * 0.05) * size;
+                const angle = latticeRandom(i, layer, 15) * Math.PI;
+
+                [-size, 0, size].forEach(dx => {
+                    [-size, 0, size].forEach(dy => {
+                        ctx.beginPath();
+                        ctx.ellipse(cx + dx, cy + dy, rx, ry, angle, 0, 2 * Math.PI);
+                        ctx.fill();
+                    });
+                });
+            }
+        });
+    }
+
+    patternCanvases[pattern] = canvas;
+    return canvas;
+}
+
+// Returns a list of problems with a texture state, empty when valid
+function validateTextureState(texture) {
+    const problems = [];
+
+    if (!texture || typeof texture !== 'object') {
+        return ['is not an object'];
+    }
+
+    if (texture.source === 'pattern') {
+        if (!TEXTURE_PATTERNS[texture.pattern]) problems.push(`has unknown pattern "${texture.pattern}"`);
+    } else if (texture.source === 'image') {
+        if (typeof texture.image !== 'string' || !texture.image.startsWith('data:image/')) problems.push('has an invalid image');
+    } else {
+        problems.push(`has unknown source "${texture.source}"`);
+    }
+
+    ['scale', 'rotation', 'offsetX', 'offsetY'].forEach(key => {
+        if (typeof texture[key] !== 'number' || !isFinite(texture[key])) problems.push(`has invalid ${key}`);
+    });
+
+    if (texture.scale <= 0) problems.push('scale must be positive');
+
+    return problems;
+}
+
+// Read an uploaded image, downscaled to UPLOAD_MAX_SIZE, as a data URL
+function readTextureImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            const scale = Math.min(1, UPLOAD_MAX_SIZE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/png'));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read image'));
+        };
+
+        image.src = url;
+    });
+}
+
+function buildTextureControls(meshName) {
+    return `
+        <details class="texture-details">
+            <summary>Texture</summary>
+            <div class="texture-row">
+                <select class="texture-pattern-select" data-mesh="${meshName}">
+                    <option value="">None</option>
+                    ${Object.keys(TEXTURE_PATTERNS).map(id => `<option value="${id}">${TEXTURE_PATTERNS[id]}</option>`).join('')}
+                    <option value="image" disabled>Uploaded image</option>
+                </select>
+                <label class="texture-upload-button">
+                    Upload
+                    <input type="file" class="texture-upload-input" accept="image/png,image/jpeg,image/webp,image/svg+xml" hidden>
+                </label>
+            </div>
+            <div class="texture-sliders">
+                <label>Scale <input type="range" class="texture-slider" data-key="scale" min="0.25" max="8" step="0.25" value="1"></label>
+                <label>Rotation <input type="range" class="texture-slider" data-key="rotation" min="0" max="360" step="5" value="0"></label>
+                <label>Offset X <input type="range" class="texture-slider" data-key="offsetX" min="0" max="1" step="0.01" value="0"></label>
+                <label>Offset Y <input type="range" class="texture-slider" data-key="offsetY" min="0" max="1" step="0.01" value="0"></label>
+            </div>
+            <button type="button" class="texture-clear-button">Clear texture</button>
+        </details>
+    `;
+}
+
+function bindTextureControls(controlDiv, meshName) {
+    const patternSelect = controlDiv.querySelector('.texture-pattern-select');
+    const uploadInput = controlDiv.querySelector('.texture-upload-input');
+    const clearBtn = controlDiv.querySelector('.texture-clear-button');
+
+    patternSelect.addEventListener('change', () => {
+        const mesh = meshMap[meshName];
+
+        recordPartEdit(`texture:${meshName}`, () => {
+            if (patternSelect.value) {
+                const textureState = Object.assign(defaultTextureState('pattern'), mesh.userData.texture, {
+                    source: 'pattern',
+                    pattern: patternSelect.value,
+                    image: undefined
+                });
+                applyPartTexture(mesh, textureState);
+            } else {
+                clearPartTexture(mesh);
+            }
+        });
+
+        syncTextureControls(controlDiv, mesh);
+        scheduleDesignLinkUpdate();
+    });
+
+    uploadInput.addEventListener('change', async () => {
+        const file = uploadInput.files[0];
+        uploadInput.value = '';
+        if (!file) return;
+
+        try {
+            const image = await readTextureImage(file);
+            const mesh = meshMap[meshName];
+
+            recordPartEdit(`texture:${meshName}`, () => {
+                applyPartTexture(mesh, Object.assign(defaultTextureState('image'), { image: image }));
+            });
+
+            syncTextureControls(controlDiv, mesh);
+            scheduleDesignLinkUpdate();
+        } catch (error) {
+            console.error('Error uploading texture:', error);
+        }
+    });
+
+    controlDiv.querySelectorAll('.texture-slider').forEach(slider => {
+        slider.addEventListener('input', () => {
+            const mesh = meshMap[meshName];
+            if (!mesh.userData.texture) return;
+
+            // Slider drags coalesce into a single history step
+            beginPartEdit(`texture-transform:${meshName}`);
+            applyPartTexture(mesh, Object.assign({}, mesh.userData.texture, {
+                [slider.dataset.key]: parseFloat(slider.value)
+            }));
+            scheduleDesignLinkUpdate();
+            scheduleEditCommit();
+        });
+
+        slider.addEventListener('change', commitPartEdit);
+    });
+
+    clearBtn.addEventListener('click', () => {
+        const mesh = meshMap[meshName];
+
+        recordPartEdit(`texture:${meshName}`, () => {
+            clearPartTexture(mesh);
+        });
+
+        syncTextureControls(controlDiv, mesh);
+        scheduleDesignLinkUpdate();
+    });
+
+    syncTextureControls(controlDiv, meshMap[meshName]);
+}
+
+function syncTextureControls(controlDiv, mesh) {
+    const patternSelect = controlDiv.querySelector('.texture-pattern-select');
+    if (!patternSelect) return;
+
+    const texture = mesh.userData.texture;
+    patternSelect.value = texture ? (texture.source === 'image' ? 'image' : texture.pattern) : '';
+
+    controlDiv.querySelectorAll('.texture-slider').forEach(slider => {
+        slider.disabled = !texture;
+        slider.value = texture ? texture[slider.dataset.key] : defaultTextureState()[slider.dataset.key];
+    });
+
+    controlDiv.querySelector('.texture-clear-button').disabled = !texture;
+}
+
+// ============================================================================
+// TEXT & LOGO DECALS
+// ============================================================================
+
+// Only parts the catalog marks in decalParts have surfaces suited to monograms and logos
+function getDecalEligibleParts() {
+    return (currentModel && currentModel.decalParts) || [];
+}
+
+const DECAL_FONTS = ['Poppins', 'Arial Black', 'Georgia', 'Courier New', 'Impact'];
+const DECAL_ID_PATTERN = /^decal-\d+$/; // Ids are generated as decal-<timestamp>
+const POINTER_CLICK_TOLERANCE = 5; // Pixels a pointer may move and still count as a click
+
+// Decal state: { id, kind: 'text' | 'image', mesh, position, normal, rotation, size, ... }
+// position/normal are in the target mesh's local space, size is a fraction of its bounding radius
+let decals = [];
+let selectedDecalId = null;
+let decalPlacement = null;
+let decalPointerStart = null;
+let decalAutoRotateState = null;
+
+// Replace all decals, returns names of target meshes that don't exist
+function setDecals(decalStates) {
+    clearDecalMeshes();
+    decals = [];
+
+    const missingMeshes = [];
+    decalStates.forEach(decal => {
+        if (!meshMap[decal.mesh]) {
+            missingMeshes.push(decal.mesh);
+            return;
+        }
+        if (!getDecalEligibleParts().includes(decal.mesh)) {
+            console.warn('Skipping decal on a part that is not decal-eligible:', decal.mesh);
+            return;
+        }
+
+        decals.push(JSON.parse(JSON.stringify(decal)));
+    });
+
+    decals.forEach(buildDecalMesh);
+
+    if (!decals.some(decal => decal.id === selectedDecalId)) {
+        selectedDecalId = null;
+    }
+    refreshDecalList();
+
+    return missingMeshes;
+}
+
+function clearDecalMeshes() {
+    Object.values(meshMap).forEach(mesh => {
+        mesh.children
+            .filter(child => child.userData.decalId)
+            .forEach(disposeDecalMesh);
+    });
+}
+
+function removeDecalMesh(decalId) {
+    Object.values(meshMap).forEach(mesh => {
+        const child = mesh.children.find(item => item.userData.decalId === decalId);
+        if (child) {
+            disposeDecalMesh(child);
+        }
+    });
+}
+
+function disposeDecalMesh(decalMesh) {
+    decalMesh.parent.remove(decalMesh);
+    decalMesh.geometry.dispose();
+    if (decalMesh.material.map) decalMesh.material.map.dispose();
+    decalMesh.material.dispose();
+}
+
+// Project a decal onto its target mesh; the result is parented to the mesh so it
+// follows the model into the export pair and the AR clone
+function buildDecalMesh(decal) {
+    const target = meshMap[decal.mesh];
+    if (!target) return;
+
+    removeDecalMesh(decal.id);
+
+    if (!target.geometry.boundingSphere) {
+        target.geometry.computeBoundingSphere();
+    }
+    target.updateWorldMatrix(true, false);
+
+    const { texture, aspect } = createDecalTexture(decal);
+
+    // Orientation: projector Z along the surface normal, then the user's rotation around it
+    const localNormal = new THREE.Vector3().fromArray(decal.normal).normalize();
+    const up = Math.abs(localNormal.y) > 0.99 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+    const basis = new THREE.Matrix4().lookAt(localNormal, new THREE.Vector3(), up);
+    const rotation = new THREE.Matrix4().makeRotationZ(THREE.MathUtils.degToRad(decal.rotation));
+    const localQuaternion = new THREE.Quaternion().setFromRotationMatrix(basis.multiply(rotation));
+
+    const worldPosition = new THREE.Vector3().fromArray(decal.position).applyMatrix4(target.matrixWorld);
+    const worldQuaternion = target.getWorldQuaternion(new THREE.Quaternion()).multiply(localQuaternion);
+    const worldScale = target.getWorldScale(new THREE.Vector3()).x;
+
+    const width = decal.size * target.geometry.boundingSphere.radius * worldScale;
+    const size = new THREE.Vector3(width, width * aspect, width);
+
+    const geometry = new THREE.DecalGeometry(
+        target,
+        worldPosition,
+        new THREE.Euler().setFromQuaternion(worldQuaternion),
+        size
+    );
+
+    // DecalGeometry is built in world space, move it into the mesh's space
+    geometry.applyMatrix4(target.matrixWorld.clone().invert());
+
+    const material = new THREE.MeshStandardMaterial({
+        map: texture,
+        transparent: true,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -4,
+        roughness: 0.6
+    });
+
+    const decalMesh = new THREE.Mesh(geometry, material);
+    decalMesh.userData.decalId = decal.id;
+    target.add(decalMesh);
+}
+
+// Returns the decal texture and its height/width ratio
+function createDecalTexture(decal) {
+    if (decal.kind === 'image') {
+        return {
+            texture: new THREE.TextureLoader().load(decal.image),
+            aspect: decal.aspect || 1
+        };
+    }
+
+    const fontSize = 128;
+    const font = `bold ${fontSize}px "${decal.font}"`;
+    const measureCtx = document.createElement('canvas').getContext('2d');
+    measureCtx.font = font;
+
+    const padding = fontSize * 0.2;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(measureCtx.measureText(decal.text).width + padding * 2);
+    canvas.height = Math.ceil(fontSize * 1.3);
+
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.fillStyle = decal.color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(decal.text, canvas.width / 2, canvas.height / 2);
+
+    return {
+        texture: new THREE.CanvasTexture(canvas),
+        aspect: canvas.height / canvas.width
+    };
+}
+
+// Returns a list of problems with a decal state, empty when valid
+function validateDecalState(decal) {
+    const problems = [];
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number' && isFinite(n));
+
+    if (!decal || typeof decal !== 'object') {
+        return ['is not an object'];
+    }
+
+    if (typeof decal.id !== 'string' || !DECAL_ID_PATTERN.test(decal.id)) problems.push('has no valid id');
+    if (typeof decal.mesh !== 'string') problems.push('has no target part');
+    if (!isVector(decal.position)) problems.push('has invalid position');
+    if (!isVector(decal.normal)) problems.push('has invalid normal');
+    if (typeof decal.rotation !== 'number') problems.push('has invalid rotation');
+    if (typeof decal.size !== 'number' || decal.size <= 0) problems.push('has invalid size');
+
+    if (decal.kind === 'text') {
+        if (typeof decal.text !== 'string' || !decal.text) problems.push('has no text');
+        if (!DESIGN_COLOR_PATTERN.test(decal.color)) problems.push(`has invalid color "${decal.color}"`);
+    } else if (decal.kind === 'image') {
+        if (typeof decal.image !== 'string' || !decal.image.startsWith('data:image/')) problems.push('has an invalid image');
+    } else {
+        problems.push(`has unknown kind "${decal.kind}"`);
+    }
+
+    return problems;
+}
+
+function setupDecalControls() {
+    if (window.decalListenersAdded) return;
+    window.decalListenersAdded = true;
+
+    const fontSelect = document.getElementById('decal-font');
+    fontSelect.innerHTML = DECAL_FONTS.map(font => `<option value="${font}">${font}</option>`).join('');
+
+    document.getElementById('decal-place-text-btn').addEventListener('click', () => {
+        const text = document.getElementById('decal-text').value.trim();
+        if (!text) {
+            updateDecalHint('Type some text first');
+            return;
+        }
+
+        startDecalPlacement({
+            kind: 'text',
+            text: text,
+            font: fontSelect.value,
+            color: document.getElementById('decal-color').value
+        });
+    });
+
+    const uploadInput = document.getElementById('decal-upload');
+    uploadInput.addEventListener('change', async () => {
+        const file = uploadInput.files[0];
+        uploadInput.value = '';
+        if (!file) return;
+
+        try {
+            const image = await readTextureImage(file);
+            const aspect = await new Promise(resolve => {
+                const img = new Image();
+                img.onload = () => resolve(img.height / img.width || 1);
+                img.src = image;
+            });
+
+            startDecalPlacement({ kind: 'image', image: image, aspect: aspect });
+        } catch (error) {
+            console.error('Error uploading logo:', error);
+            updateDecalHint('Could not read that image');
+        }
+    });
+
+    document.getElementById('decal-list').addEventListener('change', (e) => {
+        selectDecal(e.target.value || null);
+    });
+
+    ['decal-rotation', 'decal-size'].forEach(id => {
+        const slider = document.getElementById(id);
+        const key = id === 'decal-rotation' ? 'rotation' : 'size';
+
+        slider.addEventListener('input', () => {
+            const decal = decals.find(item => item.id === selectedDecalId);
+            if (!decal) return;
+
+            // Slider drags coalesce into a single history step
+            beginPartEdit(`decal-${key}:${decal.id}`);
+            decal[key] = parseFloat(slider.value);
+            buildDecalMesh(decal);
+            scheduleDesignLinkUpdate();
+            scheduleEditCommit();
+        });
+
+        slider.addEventListener('change', commitPartEdit);
+    });
+
+    document.getElementById('decal-move-btn').addEventListener('click', () => {
+        if (selectedDecalId) {
+            startDecalPlacement(null, selectedDecalId);
+        }
+    });
+
+    document.getElementById('decal-delete-btn').addEventListener('click', () => {
+        if (!selectedDecalId) return;
+
+        const decalId = selectedDecalId;
+        recordPartEdit(`decal-delete:${decalId}`, () => {
+            decals = decals.filter(decal => decal.id !== decalId);
+            removeDecalMesh(decalId);
+        });
+
+        selectDecal(null);
+        scheduleDesignLinkUpdate();
+    });
+
+    // Click-to-place on the model; a drag is left to OrbitControls
+    renderer.domElement.addEventListener('pointerdown', (e) => {
+        decalPointerStart = { x: e.clientX, y: e.clientY };
+    });
+    renderer.domElement.addEventListener('pointerup', onDecalPointerUp);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && decalPlacement) {
+            stopDecalPlacement();
+        }
+    });
+
+    refreshDecalList();
+}
+
+// Enter placement mode for a new decal (template) or to move an existing one (moveId)
+function startDecalPlacement(template, moveId = null) {
+    if (!decalPlacement) {
+        decalAutoRotateState = controls.autoRotate;
+        controls.autoRotate = false;
+    }
+
+    decalPlacement = { template: template, moveId: moveId };
+    renderer.domElement.classList.add('placing-decal');
+    updateDecalHint('Click the shoe where it should go (Esc to cancel)');
+}
+
+function stopDecalPlacement() {
+    decalPlacement = null;
+    renderer.domElement.classList.remove('placing-decal');
+    controls.autoRotate = decalAutoRotateState !== null ? decalAutoRotateState : controls.autoRotate;
+    decalAutoRotateState = null;
+    updateDecalHint('');
+}
+
+function onDecalPointerUp(e) {
+    if (!decalPlacement || !decalPointerStart) return;
+
+    const moved = Math.hypot(e.clientX - decalPointerStart.x, e.clientY - decalPointerStart.y);
+    decalPointerStart = null;
+    if (moved > POINTER_CLICK_TOLERANCE) return;
+
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+
+    const targets = getDecalEligibleParts().map(name => meshMap[name]).filter(Boolean);
+    const hit = raycaster.intersectObjects(targets, false)[0];
+    if (!hit || !hit.face) {
+        updateDecalHint('That part can\'t take a decal - try another spot');
+        return;
+    }
+
+    const target = hit.object;
+    const localPoint = target.worldToLocal(hit.point.clone());
+    const placement = decalPlacement;
+
+    if (placement.moveId) {
+        const decal = decals.find(item => item.id === placement.moveId);
+        recordPartEdit(`decal-move:${decal.id}`, () => {
+            decal.mesh = target.name;
+            decal.position = localPoint.toArray();
+            decal.normal = hit.face.normal.toArray();
+            buildDecalMesh(decal);
+        });
+    } else {
+        const decal = Object.assign({
+            id: `decal-${Date.now()}`,
+            mesh: target.name,
+            position: localPoint.toArray(),
+            normal: hit.face.normal.toArray(),
+            rotation: 0,
+            size: parseFloat(document.getElementById('decal-size').value)
+        }, placement.template);
+
+        recordPartEdit(`decal-add:${decal.id}`, () => {
+            decals.push(decal);
+            buildDecalMesh(decal);
+        });
+        selectedDecalId = decal.id;
+    }
+
+    stopDecalPlacement();
+    refreshDecalList();
+    scheduleDesignLinkUpdate();
+}
+
+function selectDecal(decalId) {
+    selectedDecalId = decalId;
+    refreshDecalList();
+}
+
+// Rebuild the decal list and sync the edit sliders with the selection
+function refreshDecalList() {
+    const list = document.getElementById('decal-list');
+    if (!list) return;
+
+    // Text and ids can come from share links and design files, so build options instead of markup
+    list.innerHTML = '';
+    list.add(new Option('Select a decal…', ''));
+    decals.forEach((decal, index) => {
+        const label = decal.kind === 'text' ? `"${decal.text}"` : `Logo ${index + 1}`;
+        list.add(new Option(`${label} on ${partDisplayName(decal.mesh)}`, decal.id));
+    });
+    list.value = selectedDecalId || '';
+
+    const selected = decals.find(decal => decal.id === selectedDecalId);
+    const rotationSlider = document.getElementById('decal-rotation');
+    const sizeSlider = document.getElementById('decal-size');
+
+    rotationSlider.disabled = !selected;
+    document.getElementById('decal-move-btn').disabled = !selected;
+    document.getElementById('decal-delete-btn').disabled = !selected;
+
+    if (selected) {
+        rotationSlider.value = selected.rotation;
+        sizeSlider.value = selected.size;
+    }
+}
+
+function updateDecalHint(message) {
+    const hint = document.getElementById('decal-hint');
+    if (hint) {
+        hint.textContent = message;
+    }
+}
+
+// ============================================================================
+// COLORWAYS, RANDOMIZER & HARMONIES
+// ============================================================================
+
+// Merch publishes seasonal colorways here, no code changes needed
+const COLORWAYS_FILE = 'public/colorways.json';
+
+const HARMONY_SCHEMES = {
+    complementary: 'Complementary',
+    analogous: 'Analogous',
+    triadic: 'Triadic',
+    monochrome: 'Monochrome'
+};
+
+let colorways = [];
+let colorwaysReady = Promise.resolve();
+
+async function loadColorways() {
+    try {
+        const response = await fetch(COLORWAYS_FILE);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        colorways = (Array.isArray(data.colorways) ? data.colorways : []).filter(colorway => {
+            const valid = colorway && typeof colorway.name === 'string' && colorway.parts &&
+                Object.values(colorway.parts).every(color => DESIGN_COLOR_PATTERN.test(color));
+            if (!valid) console.warn('Skipping invalid colorway:', colorway);
+            return valid;
+        });
+    } catch (error) {
+        console.warn('Could not load colorways:', error);
+        colorways = [];
+    }
+
+    console.log('Colorways loaded:', colorways.length);
+}
+
+async function setupColorwayControls() {
+    const presetSelect = document.getElementById('colorway-select');
+    const baseSelect = document.getElementById('harmony-base-select');
+    const schemeSelect = document.getElementById('harmony-scheme-select');
+
+    // Part list changes with the model
+    baseSelect.innerHTML = Object.keys(meshMap)
+        .filter(name => name && name.trim() !== '')
+        .map(name => `<option value="${name}">${partDisplayName(name)}</option>`)
+        .join('');
+
+    if (window.colorwayListenersAdded) return;
+    window.colorwayListenersAdded = true;
+
+    schemeSelect.innerHTML = Object.keys(HARMONY_SCHEMES)
+        .map(id => `<option value="${id}">${HARMONY_SCHEMES[id]}</option>`)
+        .join('');
+
+    document.getElementById('apply-colorway-btn').addEventListener('click', () => {
+        const colorway = colorways[parseInt(presetSelect.value, 10)];
+        if (colorway) {
+            applyColorway(colorway);
+        }
+    });
+
+    document.getElementById('apply-harmony-btn').addEventListener('click', () => {
+        applyHarmony(baseSelect.value, schemeSelect.value);
+    });
+
+    document.getElementById('surprise-btn').addEventListener('click', surpriseMe);
+
+    await colorwaysReady;
+    presetSelect.innerHTML = colorways.length > 0
+        ? colorways.map((colorway, index) => `<option value="${index}">${colorway.name}</option>`).join('')
+        : '<option value="">No colorways available</option>';
+    document.getElementById('apply-colorway-btn').disabled = colorways.length === 0;
+}
+
+// Set several part colors as one history step
+function applyPartColors(colorsByMesh, historyKey) {
+    recordPartEdit(historyKey, () => {
+        Object.keys(colorsByMesh).forEach(meshName => {
+            const mesh = meshMap[meshName];
+            if (mesh && mesh.material) {
+                mesh.material.color.set(colorsByMesh[meshName]);
+            }
+        });
+    });
+
+    syncPartControls();
+    scheduleDesignLinkUpdate();
+}
+
+// Colorway parts are keyed by mesh name; "default" covers any part not listed
+function getColorwayColors(colorway) {
+    const colors = {};
+    Object.keys(meshMap).forEach(meshName => {
+        const color = colorway.parts[meshName] || colorway.parts.default;
+        if (color) {
+            colors[meshName] = color;
+        }
+    });
+    return colors;
+}
+
+function applyColorway(colorway) {
+    applyPartColors(getColorwayColors(colorway), `colorway:${colorway.name}`);
+}
+
+// Colors for `count` parts following a scheme, starting from the base color
+function generateHarmony(baseColor, scheme, count) {
+    const hsl = baseColor.getHSL({});
+    const colors = [];
+
+    for (let i = 0; i < count; i++) {
+        let hue = hsl.h;
+        let saturation = hsl.s;
+        let lightness = hsl.l;
+
+        if (scheme === 'complementary') {
+            hue = hsl.h + (i % 2 === 0 ? 0.5 : 0);
+            lightness = i % 2 === 0 ? hsl.l : clampUnit(hsl.l + 0.25);
+        } else if (scheme === 'analogous') {
+            hue = hsl.h + (i % 2 === 0 ? 1 : -1) * (Math.floor(i / 2) + 1) / 12;
+        } else if (scheme === 'triadic') {
+            hue = hsl.h + ((i % 2) + 1) / 3;
+        } else if (scheme === 'monochrome') {
+            lightness = clampUnit(0.15 + ((hsl.l + (i + 1) * 0.27) % 0.75));
+        }
+
+        colors.push('#' + new THREE.Color().setHSL(((hue % 1) + 1) % 1, saturation, lightness).getHexString());
+    }
+
+    return colors;
+}
+
+function clampUnit(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+// Keep the base part and recolor every other part from the scheme
+function applyHarmony(baseMeshName, scheme) {
+    const baseMesh = meshMap[baseMeshName];
+    if (!baseMesh || !baseMesh.material) return;
+
+    const otherParts = Object.keys(meshMap).filter(name => name && name !== baseMeshName);
+    const harmony = generateHarmony(baseMesh.material.color, scheme, otherParts.length);
+
+    const colors = {};
+    otherParts.forEach((meshName, index) => {
+        colors[meshName] = harmony[index];
+    });
+
+    applyPartColors(colors, `harmony:${scheme}`);
+}
+
+// Random base color on a random part, then a random harmony around it
+function surpriseMe() {
+    const meshNames = Object.keys(meshMap).filter(name => name && name.trim() !== '');
+    if (meshNames.length === 0) return;
+
+    const baseMeshName = meshNames[Math.floor(Math.random() * meshNames.length)];
+    const schemes = Object.keys(HARMONY_SCHEMES);
+    const scheme = schemes[Math.floor(Math.random() * schemes.length)];
+    const baseColor = new THREE.Color().setHSL(Math.random(), 0.5 + Math.random() * 0.4, 0.35 + Math.random() * 0.3);
+
+    const others = meshNames.filter(name => name !== baseMeshName);
+    const harmony = generateHarmony(baseColor, scheme, others.length);
+
+    const colors = { [baseMeshName]: '#' + baseColor.getHexString() };
+    others.forEach((meshName, index) => {
+        colors[meshName] = harmony[index];
+    });
+
+    applyPartColors(colors, 'surprise');
+}
+
+// ============================================================================
+// PART PICKING & HIGHLIGHT
+// ============================================================================
+
+let composer = null;
+let hoverOutlinePass = null;
+let selectOutlinePass = null;
+let hoveredMeshName = null;
+let selectedMeshName = null;
+let pickPointerStart = null;
+const pickRaycaster = new THREE.Raycaster();
+
+function setupPartPicking() {
+    const size = renderer.getSize(new THREE.Vector2());
+
+    // The composer's default targets aren't multisampled, which would lose the renderer's antialiasing
+    const pixelRatio = renderer.getPixelRatio();
+    const renderTarget = new THREE.WebGLRenderTarget(size.x * pixelRatio, size.y * pixelRatio, {
+        samples: renderer.capabilities.isWebGL2 ? 4 : 0
+    });
+    composer = new THREE.EffectComposer(renderer, renderTarget);
+
+    // A target of our own starts the composer at pixel ratio 1
+    composer.setPixelRatio(pixelRatio);
+    composer.setSize(size.x, size.y);
+    composer.addPass(new THREE.RenderPass(scene, camera));
+
+    hoverOutlinePass = new THREE.OutlinePass(size, scene, camera);
+    hoverOutlinePass.visibleEdgeColor.set(0xfeca57);
+    hoverOutlinePass.hiddenEdgeColor.set(0xfeca57);
+    hoverOutlinePass.edgeStrength = 4;
+    hoverOutlinePass.edgeThickness = 1;
+    composer.addPass(hoverOutlinePass);
+
+    selectOutlinePass = new THREE.OutlinePass(size, scene, camera);
+    selectOutlinePass.visibleEdgeColor.set(0x667eea);
+    selectOutlinePass.hiddenEdgeColor.set(0x667eea);
+    selectOutlinePass.edgeStrength = 6;
+    selectOutlinePass.edgeThickness = 2;
+    composer.addPass(selectOutlinePass);
+
+    const canvas = renderer.domElement;
+
+    canvas.addEventListener('pointerdown', (e) => {
+        pickPointerStart = { x: e.clientX, y: e.clientY };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        // No hover feedback while OrbitControls is dragging
+        if (e.buttons !== 0 || e.pointerType === 'touch') {
+            hidePartTooltip();
+            return;
+        }
+
+        const meshName = pickPartAt(e.clientX, e.clientY);
+        setHoveredPart(meshName);
+
+        if (meshName) {
+            showPartTooltip(partDisplayName(meshName), e.clientX, e.clientY);
+        } else {
+            hidePartTooltip();
+        }
+    });
+
+    canvas.addEventListener('pointerleave', () => {
+        setHoveredPart(null);
+        hidePartTooltip();
+    });
+
+    canvas.addEventListener('pointerup', (e) => {
+        if (!pickPointerStart) return;
+
+        const moved = Math.hypot(e.clientX - pickPointerStart.x, e.clientY - pickPointerStart.y);
+        pickPointerStart = null;
+
+        // Drags belong to OrbitControls, clicks in placement mode belong to decals
+        if (moved > POINTER_CLICK_TOLERANCE || decalPlacement) return;
+
+        const meshName = pickPartAt(e.clientX, e.clientY);
+        selectPart(meshName, { scroll: true, openPicker: !!meshName });
+    });
+}
+
+// Name of the customizable mesh under a screen point, or null
+function pickPartAt(clientX, clientY) {
+    if (!loadedModel) return null;
+
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    pickRaycaster.setFromCamera(pointer, camera);
+    const hit = pickRaycaster.intersectObjects(Object.values(meshMap), false)[0];
+
+    return hit ? hit.object.name : null;
+}
+
+function setHoveredPart(meshName) {
+    if (meshName === hoveredMeshName) return;
+
+    hoveredMeshName = meshName;
+    const mesh = meshName ? meshMap[meshName] : null;
+    hoverOutlinePass.selectedObjects = mesh && meshName !== selectedMeshName ? [mesh] : [];
+
+    document.querySelectorAll('.color-control').forEach(controlDiv => {
+        controlDiv.classList.toggle('hovered', controlDiv.dataset.mesh === meshName);
+    });
+}
+
+// Select a part from either side; options.scroll/openPicker are for clicks on the model
+function selectPart(meshName, options = {}) {
+    selectedMeshName = meshName;
+    const mesh = meshName ? meshMap[meshName] : null;
+    selectOutlinePass.selectedObjects = mesh ? [mesh] : [];
+    hoverOutlinePass.selectedObjects = [];
+
+    let selectedControl = null;
+    document.querySelectorAll('.color-control').forEach(controlDiv => {
+        const isSelected = controlDiv.dataset.mesh === meshName;
+        controlDiv.classList.toggle('selected', isSelected);
+        if (isSelected) selectedControl = controlDiv;
+    });
+
+    if (selectedControl && options.scroll) {
+        selectedControl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    if (selectedControl && options.openPicker) {
+        selectedControl.querySelector('.color-input').click();
+    }
+}
+
+function showPartTooltip(label, clientX, clientY) {
+    const tooltip = document.getElementById('part-tooltip');
+    tooltip.textContent = label;
+    tooltip.style.left = `${clientX + 14}px`;
+    tooltip.style.top = `${clientY + 14}px`;
+    tooltip.classList.remove('hidden');
+}
+
+function hidePartTooltip() {
+    document.getElementById('part-tooltip').classList.add('hidden');
+}
+
+// ============================================================================
+// PRODUCT SHEET EXPORT
+// ============================================================================
+
+const SHEET_CELL_WIDTH = 600;
+const SHEET_CELL_HEIGHT = 420;
+const SHEET_COLUMNS = 4;
+const SHEET_LABEL_HEIGHT = 44;
+const SHEET_LEGEND_ROW_HEIGHT = 56;
+const SHEET_LEGEND_COLUMNS = 3;
+const SHEET_PADDING = 40;
+
+// View directions in terms of the shoe's forward (toe) and lateral (outer side) axes
+const SHEET_VIEWS = [
+    { id: 'three-quarter', label: '3/4', direction: (f, l, up) => l.clone().add(f.clone().multiplyScalar(0.7)).add(up.clone().multiplyScalar(0.5)) },
+    { id: 'lateral', label: 'Lateral', direction: (f, l) => l.clone() },
+    { id: 'medial', label: 'Medial', direction: (f, l) => l.clone().negate() },
+    { id: 'front', label: 'Front', direction: (f) => f.clone() },
+    { id: 'back', label: 'Back', direction: (f) => f.clone().negate() },
+    { id: 'top', label: 'Top', direction: (f, l, up) => up.clone(), up: (f) => f.clone() },
+    { id: 'sole', label: 'Sole', direction: (f, l, up) => up.clone().negate(), up: (f) => f.clone() }
+];
+
+// Catalog entries may give "forward"/"lateral" axes as [x, y, z]; defaults suit toe-along-+Z models
+function getModelAxes() {
+    const forward = new THREE.Vector3().fromArray((currentModel && currentModel.forward) || [0, 0, 1]).normalize();
+    const lateral = new THREE.Vector3().fromArray((currentModel && currentModel.lateral) || [1, 0, 0]).normalize();
+    return { forward: forward, lateral: lateral, up: new THREE.Vector3(0, 1, 0) };
+}
+
+function exportProductSheet() {
+    const sheetBtn = document.getElementById('product-sheet-btn');
+    if (!loadedModel) return;
+
+    sheetBtn.disabled = true;
+    sheetBtn.textContent = '🗂️ Generating...';
+
+    const reportFailure = (error) => {
+        console.error('Error creating product sheet:', error);
+        sheetBtn.disabled = false;
+        sheetBtn.textContent = '❌ Export failed - try again';
+        setTimeout(() => {
+            sheetBtn.textContent = '🗂️ Product Sheet';
+        }, 2000);
+    };
+
+    // Let the button repaint before the blocking renders
+    setTimeout(() => {
+        let sheet;
+        try {
+            sheet = createProductSheet();
+        } catch (error) {
+            reportFailure(error);
+            return;
+        }
+
+        // Keep the button busy until encoding finishes so a failure can be shown on it
+        sheet.toBlob((blob) => {
+            if (!blob) {
+                reportFailure(new Error('encoding failed'));
+                return;
+            }
+
+            downloadBlob(blob, `${designSlug()}-product-sheet.png`);
+            sheetBtn.disabled = false;
+            sheetBtn.textContent = '🗂️ Product Sheet';
+        }, 'image/png');
+    }, 50);
+}
+
+// Grid of standard views plus a color legend; the interactive camera is never touched
+function createProductSheet() {
+    const axes = getModelAxes();
+    const parts = Object.keys(meshMap).filter(name => name && name.trim() !== '');
+    const rows = Math.ceil(SHEET_VIEWS.length / SHEET_COLUMNS);
+    const legendRows = Math.ceil(parts.length / SHEET_LEGEND_COLUMNS);
+
+    const width = SHEET_COLUMNS * SHEET_CELL_WIDTH + SHEET_PADDING * 2;
+    const gridTop = SHEET_PADDING + 70;
+    const legendTop = gridTop + rows * (SHEET_CELL_HEIGHT + SHEET_LABEL_HEIGHT) + SHEET_PADDING;
+    const height = legendTop + 50 + legendRows * SHEET_LEGEND_ROW_HEIGHT + SHEET_PADDING;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    // Title
+    ctx.fillStyle = '#333333';
+    ctx.font = '600 36px Poppins';
+    ctx.textBaseline = 'top';
+    ctx.fillText(designMetadata.name, SHEET_PADDING, SHEET_PADDING);
+    ctx.font = '400 18px Poppins';
+    ctx.fillStyle = '#888888';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${currentModel.name || currentModel.id} · ${new Date().toLocaleDateString()}`, width - SHEET_PADDING, SHEET_PADDING + 14);
+    ctx.textAlign = 'left';
+
+    // Views
+    const exportObject = buildExportObject(false);
+
+    SHEET_VIEWS.forEach((view, index) => {
+        const column = index % SHEET_COLUMNS;
+        const row = Math.floor(index / SHEET_COLUMNS);
+        const x = SHEET_PADDING + column * SHEET_CELL_WIDTH;
+        const y = gridTop + row * (SHEET_CELL_HEIGHT + SHEET_LABEL_HEIGHT);
+
+        const direction = view.direction(axes.forward, axes.lateral, axes.up).normalize();
+        const up = view.up ? view.up(axes.forward, axes.lateral, axes.up) : axes.up;
+        const viewCamera = createFittedCamera(exportObject, SHEET_CELL_WIDTH / SHEET_CELL_HEIGHT, direction, up, 1.15);
+        const render = renderExportView(exportObject, viewCamera, SHEET_CELL_WIDTH, SHEET_CELL_HEIGHT, 2);
+
+        ctx.fillStyle = '#f5f5f5';
+        ctx.fillRect(x + 8, y, SHEET_CELL_WIDTH - 16, SHEET_CELL_HEIGHT);
+        ctx.drawImage(render, x, y);
+
+        ctx.fillStyle = '#555555';
+        ctx.font = '500 20px Poppins';
+        ctx.textAlign = 'center';
+        ctx.fillText(view.label, x + SHEET_CELL_WIDTH / 2, y + SHEET_CELL_HEIGHT + 10);
+        ctx.textAlign = 'left';
+    });
+
+    exportObject.traverse(child => {
+        if (child.isMesh) child.material.dispose();
+    });
+
+    // Color legend
+    ctx.fillStyle = '#333333';
+    ctx.font = '600 24px Poppins';
+    ctx.fillText('Colors', SHEET_PADDING, legendTop);
+
+    const legendColumnWidth = (width - SHEET_PADDING * 2) / SHEET_LEGEND_COLUMNS;
+    parts.forEach((meshName, index) => {
+        const mesh = meshMap[meshName];
+        const hex = '#' + mesh.material.color.getHexString();
+        const finish = MATERIAL_FINISHES[mesh.userData.finish || 'standard'];
+        const x = SHEET_PADDING + (index % SHEET_LEGEND_COLUMNS) * legendColumnWidth;
+        const y = legendTop + 50 + Math.floor(index / SHEET_LEGEND_COLUMNS) * SHEET_LEGEND_ROW_HEIGHT;
+
+        ctx.fillStyle = hex;
+        ctx.fillRect(x, y, 40, 40);
+        ctx.strokeStyle = '#cccccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, 39, 39);
+
+        ctx.fillStyle = '#333333';
+        ctx.font = '500 18px Poppins';
+        ctx.fillText(partDisplayName(meshName), x + 56, y);
+        ctx.fillStyle = '#888888';
+        ctx.font = '400 15px Poppins';
+        ctx.fillText(`${hex.toUpperCase()} · ${finish.label}`, x + 56, y + 22);
+    });
+
+    return canvas;
+}
+
+// ============================================================================
+// TURNTABLE ANIMATION EXPORT (WEBM / GIF)
+// ============================================================================
+
+const TURNTABLE_VIEW_DIRECTION = new THREE.Vector3(6, 4, 8).normalize();
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const TURNTABLE_MIN_SECONDS = 1;
+const TURNTABLE_MAX_SECONDS = 12; // Matches the duration input's max
+const TURNTABLE_MAX_FPS = 30;
+
+let turntableJob = null;
+
+function showTurntableModal() {
+    const modal = document.getElementById('turntable-modal');
+    modal.style.display = 'block';
+
+    if (!window.turntableListenersAdded) {
+        setupTurntableModal();
+        window.turntableListenersAdded = true;
+    }
+
+    updateTurntableProgress(0, '');
+}
+
+function setupTurntableModal() {
+    const modal = document.getElementById('turntable-modal');
+
+    const closeModal = () => {
+        if (turntableJob) turntableJob.cancelled = true;
+        modal.style.display = 'none';
+    };
+
+    document.getElementById('close-turntable-modal').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    document.getElementById('turntable-start-btn').addEventListener('click', startTurntableExport);
+    document.getElementById('turntable-cancel-btn').addEventListener('click', () => {
+        if (turntableJob) {
+            turntableJob.cancelled = true;
+        } else {
+            closeModal();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.style.display === 'block') closeModal();
+    });
+}
+
+function updateTurntableProgress(fraction, message) {
+    document.getElementById('turntable-progress-bar').style.width = `${Math.round(fraction * 100)}%`;
+    document.getElementById('turntable-status').textContent = message;
+}
+
+function getTurntableOptions() {
+    const durationInput = document.getElementById('turntable-duration');
+
+    // Typed-in values skip the input's min/max, so clamp before any frames are allocated
+    const fps = THREE.MathUtils.clamp(parseInt(document.getElementById('turntable-fps').value, 10) || TURNTABLE_MAX_FPS, 1, TURNTABLE_MAX_FPS);
+    const duration = THREE.MathUtils.clamp(parseFloat(durationInput.value) || parseFloat(durationInput.defaultValue), TURNTABLE_MIN_SECONDS, TURNTABLE_MAX_SECONDS);
+    const frameCount = Math.max(2, Math.round(fps * duration));
+
+    if (!Number.isFinite(frameCount)) {
+        throw new Error(`Enter a duration between ${TURNTABLE_MIN_SECONDS} and ${TURNTABLE_MAX_SECONDS} seconds`);
+    }
+
+    return {
+        format: document.getElementById('turntable-format').value,
+        size: parseInt(document.getElementById('turntable-size').value, 10),
+        fps: fps,
+        frameCount: frameCount,
+        background: document.getElementById('turntable-background').value,
+        pair: document.getElementById('turntable-framing').value === 'pair'
+    };
+}
+
+// Export object wrapped in a pivot at its center, so it spins in place
+function buildTurntablePivot(pair) {
+    const exportObject = buildExportObject(pair);
+    const center = new THREE.Box3().setFromObject(exportObject).getCenter(new THREE.Vector3());
+    exportObject.position.sub(center);
+
+    const pivot = new THREE.Group();
+    pivot.add(exportObject);
+    pivot.updateMatrixWorld(true);
+    return pivot;
+}
+
+// Render frame `index` of a full rotation onto an opaque canvas
+function renderTurntableFrame(pivot, turntableCamera, index, options) {
+    // index / frameCount never reaches a full turn, so the last frame leads back into the first
+    pivot.rotation.y = (index / options.frameCount) * Math.PI * 2;
+    pivot.updateMatrixWorld(true);
+
+    const render = renderExportView(pivot, turntableCamera, options.size, options.size, 1);
+    const frame = document.createElement('canvas');
+    frame.width = options.size;
+    frame.height = options.size;
+
+    const ctx = frame.getContext('2d');
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, options.size, options.size);
+    ctx.drawImage(render, 0, 0);
+
+    return frame;
+}
+
+async function startTurntableExport() {
+    if (turntableJob || !loadedModel) return;
+
+    let options;
+    try {
+        options = getTurntableOptions();
+    } catch (error) {
+        updateTurntableProgress(0, `❌ ${error.message}`);
+        return;
+    }
+
+    const startBtn = document.getElementById('turntable-start-btn');
+    const job = { cancelled: false };
+    turntableJob = job;
+    startBtn.disabled = true;
+
+    const pivot = buildTurntablePivot(options.pair);
+
+    // Camera fitted to the sphere around the pivot covers every angle of the spin
+    const radius = new THREE.Box3().setFromObject(pivot).getBoundingSphere(new THREE.Sphere()).radius;
+    const turntableCamera = new THREE.PerspectiveCamera(35, 1, 0.1, 1000);
+    const distance = radius * 1.05 / Math.sin(THREE.MathUtils.degToRad(turntableCamera.fov / 2));
+    turntableCamera.position.copy(TURNTABLE_VIEW_DIRECTION).multiplyScalar(distance);
+    turntableCamera.near = distance / 100;
+    turntableCamera.far = distance * 10;
+    turntableCamera.lookAt(0, 0, 0);
+    turntableCamera.updateProjectionMatrix();
+
+    try {
+        let blob;
+        if (options.format === 'gif') {
+            blob = await encodeTurntableGIF(pivot, turntableCamera, options, job);
+        } else {
+            blob = await encodeTurntableWebM(pivot, turntableCamera, options, job);
+        }
+
+        if (blob) {
+            downloadBlob(blob, `${designSlug()}-turntable.${options.format}`);
+            updateTurntableProgress(1, '✅ Done!');
+        } else {
+            updateTurntableProgress(0, 'Cancelled');
+        }
+    } catch (error) {
+        console.error('Error exporting turntable:', error);
+        updateTurntableProgress(0, `❌ ${error.message}`);
+    }
+
+    pivot.traverse(child => {
+        if (child.isMesh) child.material.dispose();
+    });
+
+    turntableJob = null;
+    startBtn.disabled = false;
+}
+
+// Yield to the browser so progress repaints and Cancel clicks get through
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
+
+// Frames are rendered ahead as JPEG blobs, then played into MediaRecorder in real time
+async function encodeTurntableWebM(pivot, turntableCamera, options, job) {
+    const mimeType = WEBM_MIME_TYPES.find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error('WebM recording is not supported in this browser, try GIF');
+    }
+
+    const frames = [];
+    for (let i = 0; i < options.frameCount; i++) {
+        if (job.cancelled) return null;
+
+        const frame = renderTurntableFrame(pivot, turntableCamera, i, options);
+        const blob = await new Promise(resolve => frame.toBlob(resolve, 'image/jpeg', 0.95));
+        if (!blob) {
+            throw new Error(`Could not encode frame ${i + 1}, try a smaller size`);
+        }
+        frames.push(blob);
+        updateTurntableProgress((i + 1) / options.frameCount * 0.5, `Rendering frame ${i + 1} / ${options.frameCount}`);
+        await nextFrame();
+    }
+
+    const recordCanvas = document.createElement('canvas');
+    recordCanvas.width = options.size;
+    recordCanvas.height = options.size;
+    const recordContext = recordCanvas.getContext('2d');
+
+    // captureStream(0) only emits a frame when we call requestFrame
+    const stream = recordCanvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: 8000000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+
+    const frameInterval = 1000 / options.fps;
+
+    // Release the recorder and track even when decoding a frame fails
+    try {
+        let nextBitmap = createImageBitmap(frames[0]);
+        recorder.start();
+        const startTime = performance.now();
+
+        for (let i = 0; i < frames.length; i++) {
+            if (job.cancelled) break;
+
+            const bitmap = await nextBitmap;
+            if (i + 1 < frames.length) {
+                nextBitmap = createImageBitmap(frames[i + 1]);
+            }
+
+            recordContext.drawImage(bitmap, 0, 0);
+            bitmap.close();
+            track.requestFrame();
+            updateTurntableProgress(0.5 + (i + 1) / frames.length * 0.5, `Encoding frame ${i + 1} / ${frames.length}`);
+
+            // Hold each frame for its slot so the recorded timing matches the frame rate
+            const wait = startTime + (i + 1) * frameInterval - performance.now();
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+        }
+    } finally {
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+            await stopped;
+        }
+        track.stop();
+    }
+
+    return job.cancelled ? null : new Blob(chunks, { type: 'video/webm' });
+}
+
+async function encodeTurntableGIF(pivot, turntableCamera, options, job) {
+    const gif = createGIFEncoder(options.size, options.size);
+    const delay = Math.max(2, Math.round(100 / options.fps)); // GIF delays are in 1/100 s
+
+    for (let i = 0; i < options.frameCount; i++) {
+        if (job.cancelled) return null;
+
+        const frame = renderTurntableFrame(pivot, turntableCamera, i, options);
+        const pixels = frame.getContext('2d').getImageData(0, 0, options.size, options.size).data;
+        gif.addFrame(pixels, delay);
+
+        updateTurntableProgress((i + 1) / options.frameCount, `Encoding frame ${i + 1} / ${options.frameCount}`);
+        await nextFrame();
+    }
+
+    return new Blob([gif.finish()], { type: 'image/gif' });
+}
+
+// Minimal looping GIF89a encoder: per-frame 256 color palette, LZW compressed
+function createGIFEncoder(width, height) {
+    const chunks = [];
+    const writeBytes = (...bytes) => chunks.push(new Uint8Array(bytes));
+    const writeShort = value => writeBytes(value & 0xff, (value >> 8) & 0xff);
+
+    // Header and logical screen descriptor (no global color table)
+    chunks.push(new TextEncoder().encode('GIF89a'));
+    writeShort(width);
+    writeShort(height);
+    writeBytes(0x00, 0x00, 0x00);
+
+    // NETSCAPE2.0 application extension: loop forever
+    writeBytes(0x21, 0xff, 0x0b);
+    chunks.push(new TextEncoder().encode('NETSCAPE2.0'));
+    writeBytes(0x03, 0x01, 0x00, 0x00, 0x00);
+
+    return {
+        addFrame(pixels, delay) {
+            const { palette, indices } = quantizeFrame(pixels);
+
+            // Graphic control extension: no disposal, frame delay
+            writeBytes(0x21, 0xf9, 0x04, 0x04);
+            writeShort(delay);
+            writeBytes(0x00, 0x00);
+
+            // Image descriptor with a 256 entry local color table
+            writeBytes(0x2c);
+            writeShort(0);
+            writeShort(0);
+            writeShort(width);
+            writeShort(height);
+            writeBytes(0x87);
+            chunks.push(palette);
+
+            writeBytes(8);
+            const data = lzwEncode(indices, 8);
+            for (let offset = 0; offset < data.length; offset += 255) {
+                const block = data.subarray(offset, offset + 255);
+                writeBytes(block.length);
+                chunks.push(block);
+            }
+            writeBytes(0x00);
+        },
+
+        finish() {
+            writeBytes(0x3b);
+            const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+            const output = new Uint8Array(total);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                output.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return output;
+        }
+    };
+}
+
+// Popularity quantizer over 15-bit color bins, good enough for product renders
+function quantizeFrame(pixels) {
+    const pixelCount = pixels.length / 4;
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const r = pixels[i * 4];
+        const g = pixels[i * 4 + 1];
+        const b = pixels[i * 4 + 2];
+        const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        counts[bin]++;
+        sums[bin * 3] += r;
+        sums[bin * 3 + 1] += g;
+        sums[bin * 3 + 2] += b;
+    }
+
+    const bins = [];
+    for (let bin = 0; bin < 32768; bin++) {
+        if (counts[bin] > 0) bins.push(bin);
+    }
+    bins.sort((a, b) => counts[b] - counts[a]);
+
+    const colorCount = Math.min(256, bins.length);
+    const palette = new Uint8Array(256 * 3);
+    for (let i = 0; i < colorCount; i++) {
+        const bin = bins[i];
+        palette[i * 3] = Math.round(sums[bin * 3] / counts[bin]);
+        palette[i * 3 + 1] = Math.round(sums[bin * 3 + 1] / counts[bin]);
+        palette[i * 3 + 2] = Math.round(sums[bin * 3 + 2] / counts[bin]);
+    }
+
+    // Map each bin to its nearest palette entry once, then index every pixel
+    const lookup = new Int16Array(32768).fill(-1);
+    const indices = new Uint8Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const r = pixels[i * 4];
+        const g = pixels[i * 4 + 1];
+        const b = pixels[i * 4 + 2];
+        const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+        if (lookup[bin] === -1) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let p = 0; p < colorCount; p++) {
+                const dr = palette[p * 3] - r;
+                const dg = palette[p * 3 + 1] - g;
+                const db = palette[p * 3 + 2] - b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = p;
+                }
+            }
+            lookup[bin] = best;
+        }
+
+        indices[i] = lookup[bin];
+    }
+
+    return { palette: palette, indices: indices };
+}
+
+// GIF variant of LZW: variable code size up to 12 bits, LSB-first packing
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const existing = dictionary.get(key);
+
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+
+        emit(prefix);
+
+        if (nextCode === 4096) {
+            // Table full: start over
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            dictionary.set(key, nextCode++);
+        }
+
+        prefix = index;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        output.push(bitBuffer & 0xff);
+    }
+
+    return new Uint8Array(output);
+}
+
+// ============================================================================
+// 3D MODEL EXPORT (GLB / GLTF / OBJ)
+// ============================================================================
+
+// Clone the customized shoe (or the export pair) with its own named materials
+function buildExportObject(pair) {
+    const root = new THREE.Group();
+    root.name = pair ? 'customized-sneakers' : 'customized-sneaker';
+
+    const layout = pair
+        ? [{ x: -EXPORT_PAIR_OFFSET, angle: -EXPORT_PAIR_ANGLE, suffix: '_left' }, { x: EXPORT_PAIR_OFFSET, angle: EXPORT_PAIR_ANGLE, suffix: '_right' }]
+        : [{ x: 0, angle: 0, suffix: '' }];
+    const scale = pair ? modelDisplayScale * EXPORT_SCALE_RATIO : modelDisplayScale;
+
+    layout.forEach(slot => {
+        const shoe = loadedModel.clone();
+        shoe.name = `${currentModel.id}${slot.suffix}`;
+        shoe.scale.setScalar(scale);
+        shoe.position.set(slot.x, 0, 0);
+        shoe.rotation.set(0, slot.angle, 0);
+
+        shoe.traverse(child => {
+            if (!child.isMesh) return;
+
+            const decalId = child.userData.decalId;
+            const source = child.material;
+            child.material = source.clone();
+
+            // clone() leaves the shader hooks behind, turntable renders need the finish tiling too
+            if (source.onBeforeCompile === compileFinishNormalMapUv) useFinishNormalMapUv(child.material);
+
+            // Only decal markers survive; they let the viewer re-import the file cleanly
+            child.userData = decalId ? { decalId: decalId } : {};
+            child.material.name = `${decalId ? `decal_${decalId}` : child.name}${slot.suffix}_material`;
+            if (decalId) child.name = `decal_${decalId}${slot.suffix}`;
+        });
+
+        root.add(shoe);
+    });
+
+    root.updateMatrixWorld(true);
+    return root;
+}
+
+async function exportModelFile() {
+    const exportBtn = document.getElementById('export-model-btn');
+    const format = document.getElementById('model-export-format').value;
+    const pair = document.getElementById('model-export-framing').value === 'pair';
+
+    if (!loadedModel) return;
+
+    exportBtn.disabled = true;
+    exportBtn.textContent = '🧊 Exporting...';
+
+    const baseName = `${designSlug()}${pair ? '-pair' : ''}`;
+
+    try {
+        const exportObject = buildExportObject(pair);
+
+        if (format === 'obj') {
+            downloadBlob(new Blob([buildOBJArchive(exportObject, baseName)], { type: 'application/zip' }), `${baseName}-obj.zip`);
+        } else {
+            const exporter = new THREE.GLTFExporter();
+            const result = await exporter.parseAsync(exportObject, { binary: format === 'glb' });
+
+            if (format === 'glb') {
+                downloadBlob(new Blob([result], { type: 'model/gltf-binary' }), `${baseName}.glb`);
+            } else {
+                downloadBlob(new Blob([buildGLTFArchive(result, baseName)], { type: 'application/zip' }), `${baseName}-gltf.zip`);
+            }
+        }
+
+        // Cloned materials are ours to clean up; geometry and textures are shared
+        exportObject.traverse(child => {
+            if (child.isMesh) child.material.dispose();
+        });
+
+        exportBtn.textContent = '🧊 Download 3D Model';
+    } catch (error) {
+        console.error('Error exporting 3D model:', error);
+        exportBtn.textContent = '❌ Export failed - try again';
+        setTimeout(() => {
+            exportBtn.textContent = '🧊 Download 3D Model';
+        }, 2000);
+    }
+
+    exportBtn.disabled = false;
+}
+
+// Move the embedded buffer out of the glTF JSON into a .bin next to it
+function buildGLTFArchive(gltf, baseName) {
+    const files = {};
+
+    gltf.buffers.forEach((buffer, index) => {
+        const binName = gltf.buffers.length > 1 ? `${baseName}-${index}.bin` : `${baseName}.bin`;
+        files[binName] = dataURLToBytes(buffer.uri);
+        buffer.uri = binName;
+    });
+
+    files[`${baseName}.gltf`] = fflate.strToU8(JSON.stringify(gltf, null, 2));
+    return fflate.zipSync(files);
+}
+
+// OBJ geometry plus an MTL with colors, roughness and PNG texture maps
+function buildOBJArchive(exportObject, baseName) {
+    const files = {};
+    const mtlLines = [];
+    const written = new Set();
+
+    exportObject.traverse(child => {
+        if (!child.isMesh || written.has(child.material.name)) return;
+        written.add(child.material.name);
+
+        const material = child.material;
+        const color = material.color;
+        mtlLines.push(`newmtl ${material.name}`);
+        mtlLines.push(`Kd ${color.r.toFixed(6)} ${color.g.toFixed(6)} ${color.b.toFixed(6)}`);
+        mtlLines.push('Ka 0 0 0');
+        mtlLines.push('Ks 0.04 0.04 0.04');
+        // Phong exponent approximation of roughness
+        mtlLines.push(`Ns ${Math.round((1 - material.roughness) * 900 + 10)}`);
+        mtlLines.push(`d ${material.transparent ? material.opacity : 1}`);
+
+        if (material.map && material.map.image) {
+            const textureName = `${material.name}.png`;
+            files[textureName] = dataURLToBytes(imageToDataURL(material.map.image));
+            mtlLines.push(`map_Kd ${textureName}`);
+            if (material.transparent) mtlLines.push(`map_d ${textureName}`);
+        }
+
+        mtlLines.push('');
+    });
+
+    const obj = `mtllib ${baseName}.mtl\n` + new THREE.OBJExporter().parse(exportObject);
+    files[`${baseName}.obj`] = fflate.strToU8(obj);
+    files[`${baseName}.mtl`] = fflate.strToU8(mtlLines.join('\n'));
+
+    return fflate.zipSync(files);
+}
+
+function imageToDataURL(image) {
+    if (image instanceof HTMLCanvasElement) return image.toDataURL('image/png');
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+function dataURLToBytes(dataURL) {
+    const binary = atob(dataURL.split(',')[1]);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function designSlug() {
+    const slug = designMetadata.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug || 'sneaker-design';
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// MODEL CATALOG
+// ============================================================================
+
+// Manifest entries: { id, name, file, scale, defaultColorway, parts, decalParts, forward, lateral }
+const MODELS_MANIFEST = 'public/models.json';
+const MODEL_TARGET_SIZE = 10; // Longest side of every model in world units once fitted
+const CAMERA_FIT_MARGIN = 4; // Camera distance as a multiple of the tight fit
+
+// Used when the manifest can't be loaded
+const FALLBACK_CATALOG = [{
+    id: 'speed-shape',
+    name: 'Speed Shape Runner',
+    file: 'public/sport_shoes_speed_shape.fbx',
+    decalParts: ['main_mesh', 'cover_mesh']
+}];
+
+let modelCatalog = [];
+let currentModel = null;
+let modelDisplayScale = 1;
+let modelDisplayPosition = new THREE.Vector3();
+let isSwitchingModel = false;
+
+async function loadModelCatalog() {
+    try {
+        const response = await fetch(MODELS_MANIFEST);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const entries = (Array.isArray(data.models) ? data.models : []).filter(entry => {
+            const valid = entry && typeof entry.id === 'string' && typeof entry.file === 'string';
+            if (!valid) console.warn('Skipping invalid catalog entry:', entry);
+            return valid;
+        });
+
+        if (entries.length === 0) {
+            throw new Error('Manifest has no models');
+        }
+        return entries;
+    } catch (error) {
+        console.warn('Could not load model catalog, using built-in model:', error);
+        return FALLBACK_CATALOG;
+    }
+}
+
+function getCatalogEntry(modelId) {
+    return modelCatalog.find(entry => entry.id === modelId) || null;
+}
+
+async function initModelCatalog() {
+    modelCatalog = await loadModelCatalog();
+
+    const modelSelect = document.getElementById('model-select');
+    modelSelect.innerHTML = modelCatalog
+        .map(entry => `<option value="${entry.id}">${entry.name || entry.id}</option>`)
+        .join('');
+    modelSelect.addEventListener('change', () => switchModel(modelSelect.value));
+
+    // A linked design picks its own model
+    const linkedId = pendingDesign && pendingDesign.model && pendingDesign.model.id;
+    const entry = getCatalogEntry(linkedId) || modelCatalog[0];
+    modelSelect.value = entry.id;
+
+    try {
+        await loadModel(entry);
+    } catch (error) {
+        // Error already shown in the panel by loadModel
+    }
+}
+
+// Scale to MODEL_TARGET_SIZE (times the manifest scale), center, and frame the camera
+function fitModelToView(object, scaleMultiplier) {
+    object.scale.setScalar(1);
+    object.position.set(0, 0, 0);
+    object.updateMatrixWorld(true);
+
+    const rawSize = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+    const maxDimension = Math.max(rawSize.x, rawSize.y, rawSize.z) || 1;
+
+    modelDisplayScale = MODEL_TARGET_SIZE / maxDimension * scaleMultiplier;
+    object.scale.setScalar(modelDisplayScale);
+    object.updateMatrixWorld(true);
+
+    // Center the model
+    const box = new THREE.Box3().setFromObject(object);
+    const center = box.getCenter(new THREE.Vector3());
+    object.position.sub(center);
+    modelDisplayPosition = object.position.clone();
+
+    // Keep the original 3/4 viewing direction, at a distance that fits the model
+    const size = box.getSize(new THREE.Vector3());
+    const fitDistance = (Math.max(size.x, size.y, size.z) / 2) / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+    const direction = new THREE.Vector3(1, 1, 1).normalize();
+
+    camera.position.copy(direction.multiplyScalar(fitDistance * CAMERA_FIT_MARGIN));
+    camera.near = fitDistance * 0.01;
+    camera.far = fitDistance * CAMERA_FIT_MARGIN * 20;
+    camera.updateProjectionMatrix();
+    controls.target.set(0, 0, 0);
+    controls.update();
+}
+
+// Default colorway for the model, then colors carried over from the previous model
+async function applyModelDefaults(entry, carriedColors) {
+    await colorwaysReady;
+
+    const colorway = colorways.find(item => item.name === entry.defaultColorway);
+    const colors = colorway ? getColorwayColors(colorway) : {};
+
+    if (carriedColors) {
+        Object.keys(meshMap).forEach(meshName => {
+            const color = carriedColors[partDisplayName(meshName)];
+            if (color) {
+                colors[meshName] = color;
+            }
+        });
+    }
+
+    Object.keys(colors).forEach(meshName => {
+        meshMap[meshName].material.color.set(colors[meshName]);
+    });
+    syncPartControls();
+}
+
+// Dispose the current model and everything built on its meshes
+function disposeModel() {
+    if (!loadedModel) return;
+
+    commitPartEdit();
+    setDecals([]);
+    selectPart(null);
+    setHoveredPart(null);
+
+    scene.remove(loadedModel);
+    loadedModel.traverse(child => {
+        if (!child.isMesh) return;
+
+        child.geometry.dispose();
+        // Finish normal maps are shared and cached, only the part texture is owned
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+    });
+
+    loadedModel = null;
+    meshMap = {};
+}
+
+async function switchModel(modelId, options = {}) {
+    const entry = getCatalogEntry(modelId);
+    if (!entry || isSwitchingModel || (currentModel && entry.id === currentModel.id)) return;
+
+    isSwitchingModel = true;
+    document.getElementById('model-select').value = entry.id;
+
+    // Carry colors over by part name so same-named parts keep their look
+    let carriedColors = null;
+    if (options.carryColors !== false) {
+        carriedColors = {};
+        Object.keys(meshMap).forEach(meshName => {
+            carriedColors[partDisplayName(meshName)] = '#' + meshMap[meshName].material.color.getHexString();
+        });
+    }
+
+    disposeModel();
+    clearHistory();
+    document.getElementById('controls-container').innerHTML = '<div class="loading">Loading parts…</div>';
+
+    try {
+        await loadModel(entry, carriedColors);
+        scheduleDesignLinkUpdate();
+    } catch (error) {
+        // Error already shown in the panel by loadModel
+    } finally {
+        isSwitchingModel = false;
+    }
+}
+
+// ============================================================================
+// AR FUNCTIONALITY
+// ============================================================================
+
+// AR Mode Variables
+let isARMode = false;
+let arVideo = null;
+let arOverlayCanvas = null;
+let arOverlayContext = null;
+let ar3DCanvas = null;
+let arCamera = null;
+let arRenderer = null;
+let arScene = null;
+let arShoeModels = { left: null, right: null };
+let pose = null;
+let videoStream = null;
+let isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+
+// AR Initialization
+async function initAR() {
+    console.log('Initializing AR...');
+
+    // Get AR elements
+    arVideo = document.getElementById('ar-video');
+    arOverlayCanvas = document.getElementById('ar-overlay-canvas');
+    ar3DCanvas = document.getElementById('ar-3d-canvas');
+    arOverlayContext = arOverlayCanvas.getContext('2d');
+
+    // Tracker order and backend keys; the backends themselves load on entering AR
+    await loadARConfig();
+
+    // Setup AR event listeners
+    setupAREventListeners();
+
+    console.log('AR initialized successfully');
+}
+
+// Setup AR Event Listeners
+function setupAREventListeners() {
+    const arModeBtn = document.getElementById('ar-mode-btn');
+    const normalModeBtn = document.getElementById('normal-mode-btn');
+    const arCaptureBtn = document.getElementById('ar-capture-btn');
+
+    if (arModeBtn) {
+        arModeBtn.addEventListener('click', enterARMode);
+    }
+
+    if (normalModeBtn) {
+        normalModeBtn.addEventListener('click', exitARMode);
+    }
+
+    if (arCaptureBtn) {
+        arCaptureBtn.addEventListener('click', captureARPhoto);
+    }
+
+    setupARCameraControls();
+    setupARRecordingControls();
+    setupARPhotoControls();
+
+    setupPoseSessionControls();
+    setupTrackerControls();
+    setupARLightingControls();
+    setupManualPlacementControls();
+
+    const occlusionToggle = document.getElementById('ar-occlusion-toggle');
+    occlusionToggle.addEventListener('change', () => {
+        AR_OCCLUSION.enabled = occlusionToggle.checked;
+    });
+
+    const occlusionDebugToggle = document.getElementById('ar-occlusion-debug-toggle');
+    occlusionDebugToggle.addEventListener('change', () => {
+        AR_OCCLUSION.debug = occlusionDebugToggle.checked;
+    });
+
+    const calibrationToggle = document.getElementById('ar-calibration-toggle');
+    calibrationToggle.addEventListener('change', () => {
+        AR_PROJECTION.calibration = calibrationToggle.checked;
+    });
+}
+
+// Enter AR Mode
+async function enterARMode() {
+    console.log('Entering AR mode...');
+
+    try {
+        updateARStatus('Requesting camera permission...', 'detecting');
+
+        // Request camera access for the remembered camera, falling back to smaller sizes
+        const request = ++cameraRequest;
+        if (!(await openARCamera(arCameraChoice, request))) return;
+
+        // Setup AR scene
+        setupARScene();
+
+        // Show AR UI
+        showARInterface();
+
+        isARMode = true;
+        updatePoseLabButtons();
+
+        // Start foot tracking, falling back through the configured backends
+        updateARStatus('Looking for feet...', 'detecting');
+        startFootTracker(preferredTrackerId);
+
+        console.log('AR mode activated successfully');
+
+    } catch (error) {
+        console.error('Error entering AR mode:', error);
+        updateARStatus('Camera access denied. Please allow camera permission.', 'error');
+
+        // Handle different error cases
+        if (error.name === 'NotAllowedError') {
+            updateARStatus('Camera permission denied. Please enable camera access.', 'error');
+        } else if (error.name === 'NotFoundError') {
+            updateARStatus('No camera found. Please connect a camera.', 'error');
+        } else {
+            updateARStatus('Camera error. Please try again.', 'error');
+        }
+    }
+}
+
+// Exit AR Mode
+function exitARMode() {
+    console.log('Exiting AR mode...');
+
+    // Finish any clip or landmark recording in progress before the camera goes away
+    stopARRecording();
+    stopPoseRecording();
+    stopPoseReplay();
+
+    stopFootTracker();
+    stopManualPlacement();
+
+    // Stop camera stream, and drop any that is still opening
+    cameraRequest++;
+    if (videoStream) {
+        videoStream.getTracks().forEach(track => track.stop());
+        videoStream = null;
+    }
+
+    // Hide AR UI
+    hideARInterface();
+
+    // Reset AR status
+    updateARStatus('Looking for feet...', '');
+
+    isARMode = false;
+    updatePoseLabButtons();
+
+    console.log('AR mode deactivated');
+}
+
+// Setup AR Scene
+function setupARScene() {
+    // Create AR-specific Three.js scene
+    arScene = new THREE.Scene();
+
+    // AR camera stands in for the physical one: at the origin, looking down -Z, units in meters
+    arCamera = new THREE.PerspectiveCamera(
+        60,
+        ar3DCanvas.width / ar3DCanvas.height,
+        0.01,
+        50
+    );
+    arCamera.position.set(0, 0, 0);
+    arCamera.lookAt(0, 0, -1);
+    updateARCameraProjection();
 
     // Create AR renderer
     arRenderer = new THREE.WebGLRenderer({
         canvas: ar3DCanvas,
         alpha: true,
-        antialias: true
+        antialias: true,
+        preserveDrawingBuffer: true // Photo and clip capture read the canvas between pose results
+    });
+    arRenderer.setSize(ar3DCanvas.width, ar3DCanvas.height);
+    arRenderer.setClearColor(0x000000, 0); // Transparent background
+    arRenderer.toneMapping = THREE.LinearToneMapping; // Exposure follows the estimated scene brightness
+
+    // One shoe per foot: the catalog model as-is on its own side, a mirrored copy on the other
+    if (loadedModel) {
+        const modelSide = (currentModel && currentModel.side) || 'right';
+        disposeARShoes();
+        arShoeModels.left = createARShoe(modelSide !== 'left');
+        arShoeModels.right = createARShoe(modelSide === 'left');
+        arScene.add(arShoeModels.left, arShoeModels.right);
+        arFootTrackers.left.reset();
+        arFootTrackers.right.reset();
+
+        // Add lighting for AR scene, driven by the lighting estimator from here on
+        const arLight = new THREE.DirectionalLight(0xffffff, 1);
+        arLight.position.set(0, 10, 5);
+        arScene.add(arLight);
+
+        const arAmbientLight = new THREE.AmbientLight(0xffffff, 0.6);
+        arScene.add(arAmbientLight);
+
+        resetARLighting(arLight, arAmbientLight);
+        arScene.add(createAROccluder());
+    }
+}
+
+// Wrap a clone of the fitted model so tracking can move, turn and scale it around its center
+function createARShoe(mirrored) {
+    // The clone keeps its fitted scale and centering, so the wrapper's origin is the shoe's center
+    const fitted = loadedModel.clone();
+
+    // Own materials so fading one shoe leaves the viewer and the other shoe alone
+    const materialPairs = [];
+    fitted.traverse(child => {
+        if (child.isMesh) {
+            const source = child.material;
+            child.material = source.clone();
+            if (source.onBeforeCompile === compileFinishNormalMapUv) useFinishNormalMapUv(child.material);
+            materialPairs.push({ material: child.material, source: source, version: source.version });
+        }
+    });
+
+    const shoe = new THREE.Group();
+    if (mirrored) {
+        // Reflect across the plane through the model's center that splits lateral from medial,
+        // three.js flips the face winding for negative determinants so lighting stays correct
+        const lateral = getModelAxes().lateral;
+        const mirror = new THREE.Group();
+        mirror.matrixAutoUpdate = false;
+        mirror.matrix.set(
+            1 - 2 * lateral.x * lateral.x, -2 * lateral.x * lateral.y, -2 * lateral.x * lateral.z, 0,
+            -2 * lateral.y * lateral.x, 1 - 2 * lateral.y * lateral.y, -2 * lateral.y * lateral.z, 0,
+            -2 * lateral.z * lateral.x, -2 * lateral.z * lateral.y, 1 - 2 * lateral.z * lateral.z, 0,
+            0, 0, 0, 1
+        );
+        mirror.add(fitted);
+        shoe.add(mirror);
+    } else {
+        shoe.add(fitted);
+    }
+
+    // Half extents along the model's forward and up axes locate the heel and toe of the sole
+    const axes = getModelAxes();
+    const size = new THREE.Box3().setFromObject(fitted).getSize(new THREE.Vector3());
+    const extent = axis => Math.abs(size.x * axis.x) + Math.abs(size.y * axis.y) + Math.abs(size.z * axis.z);
+
+    shoe.visible = false;
+    shoe.userData.materialPairs = materialPairs;
+    shoe.userData.halfLength = extent(axes.forward) / 2;
+    shoe.userData.halfHeight = extent(axes.up) / 2;
+    return shoe;
+}
+
+function disposeARShoes() {
+    [arShoeModels.left, arShoeModels.right].forEach(shoe => {
+        if (!shoe) return;
+        shoe.userData.materialPairs.forEach(pair => pair.material.dispose());
+        if (shoe.parent) shoe.parent.remove(shoe);
+    });
+    arShoeModels = { left: null, right: null };
+}
+
+// Copy live edits from the viewer materials, then apply the shoe's fade
+function updateARShoeMaterials(shoe, opacity) {
+    shoe.userData.materialPairs.forEach(pair => {
+        const { material, source } = pair;
+        material.copy(source);
+        material.opacity = source.opacity * opacity;
+        material.transparent = source.transparent || opacity < 1;
+
+        // copy() keeps the compiled program, recompile when the source was flagged (e.g. a new map)
+        if (pair.version !== source.version) {
+            material.needsUpdate = true;
+            pair.version = source.version;
+        }
+    });
+}
+
+// Show AR Interface
+function showARInterface() {
+    console.log('Showing AR interface...');
+
+    const arContainer = document.getElementById('ar-container');
+    const sceneContainer = document.getElementById('scene-container');
+    const panel = document.getElementById('customization-panel');
+    const arModeBtn = document.getElementById('ar-mode-btn');
+    const normalModeBtn = document.getElementById('normal-mode-btn');
+    const exportBtn = document.getElementById('export-btn');
+    const arCaptureBtn = document.getElementById('ar-capture-btn');
+
+    // Show AR container
+    if (arContainer) {
+        arContainer.classList.remove('hidden');
+        console.log('AR container shown');
+    }
+
+    // Hide 3D scene
+    if (sceneContainer) {
+        sceneContainer.style.display = 'none';
+        console.log('3D scene hidden');
+    }
+
+    // Update panel appearance
+    if (panel) {
+        panel.classList.add('ar-active');
+        // Ensure panel is visible on mobile
+        if (isMobile) {
+            panel.classList.add('ar-mode');
+        }
+    }
+
+    // Toggle buttons
+    if (arModeBtn) arModeBtn.classList.add('hidden');
+    if (normalModeBtn) normalModeBtn.classList.remove('hidden');
+    if (exportBtn) exportBtn.classList.add('hidden');
+
+    // The AR shoe is a snapshot of the current model, so lock the switcher
+    const modelSelect = document.getElementById('model-select');
+    if (modelSelect) modelSelect.disabled = true;
+    if (arCaptureBtn) arCaptureBtn.classList.remove('hidden');
+    document.getElementById('ar-record-controls').classList.remove('hidden');
+    document.getElementById('ar-photo-settings').classList.remove('hidden');
+    document.getElementById('ar-debug-options').classList.remove('hidden');
+    document.getElementById('ar-lighting-controls').classList.remove('hidden');
+    document.getElementById('ar-camera-controls').classList.toggle('hidden', Boolean(poseReplay));
+    updatePlaceButton();
+
+    // Resize AR canvases to match video
+    setTimeout(() => {
+        resizeARCanvases();
+    }, 100);
+
+    console.log('AR interface setup complete');
+}
+
+// Hide AR Interface
+function hideARInterface() {
+    const arContainer = document.getElementById('ar-container');
+    const sceneContainer = document.getElementById('scene-container');
+    const panel = document.getElementById('customization-panel');
+    const arModeBtn = document.getElementById('ar-mode-btn');
+    const normalModeBtn = document.getElementById('normal-mode-btn');
+    const exportBtn = document.getElementById('export-btn');
+    const arCaptureBtn = document.getElementById('ar-capture-btn');
+
+    // Hide AR container
+    if (arContainer) arContainer.classList.add('hidden');
+
+    // Show 3D scene
+    if (sceneContainer) sceneContainer.style.display = 'block';
+
+    // Update panel appearance
+    if (panel) panel.classList.remove('ar-active');
+
+    // Toggle buttons
+    if (arModeBtn) arModeBtn.classList.remove('hidden');
+    if (normalModeBtn) normalModeBtn.classList.add('hidden');
+    if (exportBtn) exportBtn.classList.remove('hidden');
+
+    const modelSelect = document.getElementById('model-select');
+    if (modelSelect) modelSelect.disabled = false;
+    if (arCaptureBtn) arCaptureBtn.classList.add('hidden');
+    document.getElementById('ar-record-controls').classList.add('hidden');
+    document.getElementById('ar-photo-settings').classList.add('hidden');
+    document.getElementById('ar-debug-options').classList.add('hidden');
+    document.getElementById('ar-lighting-controls').classList.add('hidden');
+    document.getElementById('ar-camera-controls').classList.add('hidden');
+    document.getElementById('ar-place-btn').classList.add('hidden');
+}
+
+// Handle a frame from the active foot tracker (or a replayed one)
+function onPoseResults(frame) {
+    if (!isARMode || !arOverlayContext || !arOverlayCanvas) return;
+
+    // During a replay only the recorded frames drive tracking
+    if (poseReplay && !frame.replayed) return;
+    if (poseRecording) recordPoseFrame(frame);
+
+    // Resize canvases to match video
+    resizeARCanvases();
+
+    // Clear overlay canvas
+    arOverlayContext.clearRect(0, 0, arOverlayCanvas.width, arOverlayCanvas.height);
+
+    // A manually placed shoe stays put until feet have been tracked for a few frames in a row
+    if (arManualPlacement && holdManualPlacement(frame)) {
+        updateAROcclusion(frame);
+        renderManualPlacement();
+        return;
+    }
+
+    // Check if the tracker sees a person at all
+    if (frame.personDetected) {
+        // Get foot keypoints with visibility check
+        const { ankle: leftAnkle, heel: leftHeel, toe: leftFootIndex } = getVisibleFootPoints(frame.feet.left);
+        const { ankle: rightAnkle, heel: rightHeel, toe: rightFootIndex } = getVisibleFootPoints(frame.feet.right);
+
+        // Count visible foot landmarks
+        const leftFootLandmarks = [leftAnkle, leftHeel, leftFootIndex].filter(Boolean).length;
+        const rightFootLandmarks = [rightAnkle, rightHeel, rightFootIndex].filter(Boolean).length;
+
+        console.log(`Foot detection: Left=${leftFootLandmarks}/3, Right=${rightFootLandmarks}/3`);
+
+        // Check if we have good foot detection (at least 2 landmarks per foot)
+        const hasGoodLeftFoot = leftFootLandmarks >= 2;
+        const hasGoodRightFoot = rightFootLandmarks >= 2;
+
+        if (hasGoodLeftFoot || hasGoodRightFoot) {
+            // Check if we have both ankle and foot index for positioning
+            const hasCompleteRightFoot = Boolean(rightAnkle && rightFootIndex);
+            const hasCompleteLeftFoot = Boolean(leftAnkle && leftFootIndex);
+
+            const [message, type] = getFootTrackingStatus(
+                hasCompleteLeftFoot, hasCompleteRightFoot, hasGoodLeftFoot, hasGoodRightFoot
+            );
+            updateARStatus(message, type);
+
+            // Draw whatever foot indicators we have
+            drawFootIndicators(leftAnkle, rightAnkle, leftFootIndex, rightFootIndex);
+
+            // Position AR shoes, each one holds then fades when its own foot is incomplete
+            const leftFoot = getFootLandmarks(frame, 'left');
+            const rightFoot = getFootLandmarks(frame, 'right');
+            positionARShoe(leftFoot, rightFoot);
+            updatePlaceButton(Boolean(leftFoot || rightFoot));
+
+            updateARLighting(frame);
+
+            if (AR_PROJECTION.calibration) {
+                drawCalibrationCheck([
+                    { foot: leftFoot, shoe: arShoeModels.left },
+                    { foot: rightFoot, shoe: arShoeModels.right }
+                ]);
+            }
+        } else {
+            updateARStatus('Point camera at your feet - move closer 👣', 'detecting');
+
+            // Let both shoes hold and fade out when no feet detected
+            positionARShoe(null, null);
+            updatePlaceButton();
+
+            // Draw a simple indicator that pose detection is working
+            drawPoseDetectionIndicator();
+        }
+    } else {
+        updateARStatus('Looking for pose...', 'detecting');
+
+        // Let both shoes hold and fade out when no pose detected
+        positionARShoe(null, null);
+        updatePlaceButton();
+
+        // Draw "no pose" indicator
+        drawNoPoseIndicator();
+    }
+
+    // Legs in front of the shoes cut them out through the depth buffer
+    updateAROcclusion(frame);
+
+    // Render every result so holds, fades and hidden shoes reach the canvas
+    if (arRenderer && arScene && arCamera) {
+        arRenderer.render(arScene, arCamera);
+    }
+}
+
+// Draw indicator when pose detection is working but no feet found
+function drawPoseDetectionIndicator() {
+    const centerX = arOverlayCanvas.width / 2;
+    const centerY = arOverlayCanvas.height / 2;
+
+    arOverlayContext.fillStyle = 'rgba(255, 255, 0, 0.7)';
+    arOverlayContext.font = 'bold 16px Poppins';
+    arOverlayContext.textAlign = 'center';
+    drawOverlayText('📸 Pose detection active', centerX, centerY - 40);
+    drawOverlayText('Point camera at your feet', centerX, centerY - 20);
+    arOverlayContext.textAlign = 'left';
+}
+
+// Draw indicator when no pose is detected at all
+function drawNoPoseIndicator() {
+    const centerX = arOverlayCanvas.width / 2;
+    const centerY = arOverlayCanvas.height / 2;
+
+    arOverlayContext.fillStyle = 'rgba(255, 107, 107, 0.7)';
+    arOverlayContext.font = 'bold 16px Poppins';
+    arOverlayContext.textAlign = 'center';
+    drawOverlayText('⚠️ Looking for person...', centerX, centerY - 20);
+    drawOverlayText('Make sure you are in the camera view', centerX, centerY);
+    arOverlayContext.textAlign = 'left';
+}
+
+// Draw Foot Indicators
+function drawFootIndicators(leftAnkle, rightAnkle, leftFootIndex, rightFootIndex) {
+    const canvasWidth = arOverlayCanvas.width;
+    const canvasHeight = arOverlayCanvas.height;
+
+    // Draw indicators for detected foot parts
+    if (leftAnkle) {
+        const x = leftAnkle.x * canvasWidth;
+        const y = leftAnkle.y * canvasHeight;
+        drawFootPoint(x, y, 'L👣', '#00ff00'); // Green for ankle
+    }
+
+    if (rightAnkle) {
+        const x = rightAnkle.x * canvasWidth;
+        const y = rightAnkle.y * canvasHeight;
+        drawFootPoint(x, y, 'R👣', '#00ff00'); // Green for ankle
+    }
+
+    if (leftFootIndex) {
+        const x = leftFootIndex.x * canvasWidth;
+        const y = leftFootIndex.y * canvasHeight;
+        drawFootPoint(x, y, 'L👟', '#ff6b6b'); // Red for foot tip
+    }
+
+    if (rightFootIndex) {
+        const x = rightFootIndex.x * canvasWidth;
+        const y = rightFootIndex.y * canvasHeight;
+        drawFootPoint(x, y, 'R👟', '#ff6b6b'); // Red for foot tip
+    }
+
+    // Draw connection line between ankle and foot for every tracked foot
+    if (rightAnkle && rightFootIndex) {
+        drawFootConnection(rightAnkle, rightFootIndex, canvasWidth, canvasHeight, '#00ff00');
+    }
+    if (leftAnkle && leftFootIndex) {
+        drawFootConnection(leftAnkle, leftFootIndex, canvasWidth, canvasHeight, '#00ff00');
+    }
+}
+
+// Draw individual foot point
+function drawFootPoint(x, y, label, color = '#00ff00') {
+    // Draw circle
+    arOverlayContext.fillStyle = color;
+    arOverlayContext.beginPath();
+    arOverlayContext.arc(x, y, 10, 0, 2 * Math.PI);
+    arOverlayContext.fill();
+
+    // Draw white border
+    arOverlayContext.strokeStyle = '#ffffff';
+    arOverlayContext.lineWidth = 2;
+    arOverlayContext.stroke();
+
+    // Draw label
+    arOverlayContext.fillStyle = '#ffffff';
+    arOverlayContext.font = 'bold 14px Poppins';
+    arOverlayContext.shadowColor = '#000000';
+    arOverlayContext.shadowBlur = 3;
+    drawOverlayText(label, x + 15, y + 5);
+    arOverlayContext.shadowBlur = 0;
+}
+
+// Draw connection line between foot landmarks
+function drawFootConnection(ankle, footIndex, canvasWidth, canvasHeight, color = '#00ff00') {
+    const ankleX = ankle.x * canvasWidth;
+    const ankleY = ankle.y * canvasHeight;
+    const footX = footIndex.x * canvasWidth;
+    const footY = footIndex.y * canvasHeight;
+
+    // Draw connection line
+    arOverlayContext.strokeStyle = color;
+    arOverlayContext.lineWidth = 3;
+    arOverlayContext.setLineDash([5, 5]); // Dashed line
+    arOverlayContext.beginPath();
+    arOverlayContext.moveTo(ankleX, ankleY);
+    arOverlayContext.lineTo(footX, footY);
+    arOverlayContext.stroke();
+    arOverlayContext.setLineDash([]); // Reset to solid line
+}
+
+// Position AR Shoes, each foot independently
+function positionARShoe(leftFoot, rightFoot) {
+    if (!arCamera) return;
+
+    const time = getARTime() / 1000;
+    positionFootShoe(arShoeModels.left, arFootTrackers.left, leftFoot, 'Left', time);
+    positionFootShoe(arShoeModels.right, arFootTrackers.right, rightFoot, 'Right', time);
+}
+
+// Place one shoe on its foot, or hold and fade it when that foot is missing
+function positionFootShoe(shoe, tracker, foot, side, time) {
+    if (!shoe) return;
+
+    if (foot) {
+        // Unproject the landmarks through arCamera at the depth the foot's real size implies
+        const depth = estimateFootDepth(foot);
+        const points = {
+            ankle: unprojectLandmark(foot.ankle, landmarkDepth(foot.ankle, foot, depth)),
+            heel: foot.heel && unprojectLandmark(foot.heel, landmarkDepth(foot.heel, foot, depth)),
+            toe: unprojectLandmark(foot.toe, landmarkDepth(foot.toe, foot, depth))
+        };
+
+        // Heel and toe ends of the sole; without a heel, extend ankle→toe to the full foot length
+        const heelEnd = points.heel || points.toe.clone().lerp(points.ankle, 1 / AR_PROJECTION.ankleToeFraction);
+        const toeEnd = points.toe;
+        const forward = new THREE.Vector3().subVectors(toeEnd, heelEnd);
+
+        // Full 3D orientation from ankle, heel and toes
+        const orientation = solveFootOrientation(forward, getFootUpVector(foot, points));
+
+        // Stretch the shoe so its sole anchors land on heel and toe, then lift it by its sole offset
+        const scale = forward.length() / (shoe.userData.halfLength * 2);
+        const up = getModelAxes().up.applyQuaternion(orientation);
+        const position = heelEnd.clone().lerp(toeEnd, 0.5).addScaledVector(up, shoe.userData.halfHeight * scale);
+
+        const smoothed = tracker.update({ x: position.x, y: position.y, z: position.z, quaternion: orientation, scale: scale }, time);
+        shoe.position.set(smoothed.x, smoothed.y, smoothed.z);
+        shoe.quaternion.copy(smoothed.quaternion);
+        shoe.scale.setScalar(smoothed.scale);
+
+        // Make shoe visible
+        shoe.visible = true;
+        updateARShoeMaterials(shoe, 1);
+
+        const euler = new THREE.Euler().setFromQuaternion(smoothed.quaternion, 'YXZ');
+        console.log(`${side} shoe positioned at: (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}) m 
+                     Scale: ${scale.toFixed(4)} 
+                     Yaw/Pitch/Roll: ${[euler.y, euler.x, euler.z].map(a => THREE.MathUtils.radToDeg(a).toFixed(1)).join('° / ')}° 
+                     Source: ${foot.world && foot.heel ? 'world' : 'image'} landmarks`);
+    } else {
+        // Keep the last pose briefly, then fade out before hiding
+        const opacity = tracker.dropout(time);
+        shoe.visible = opacity > 0;
+        if (shoe.visible) updateARShoeMaterials(shoe, opacity);
+    }
+}
+
+// ============================================================================
+// AR CAMERA SELECTION
+// ============================================================================
+
+const AR_CAMERA_KEY = 'sneaker-ar-camera';
+const AR_CAMERA_LOAD_TIMEOUT = 10000;
+
+// Tried in order until the device accepts one, the last entry lets the browser pick
+const AR_CAMERA_RESOLUTIONS = [
+    { width: 1280, height: 720 },
+    { width: 960, height: 540 },
+    { width: 640, height: 480 },
+    null
+];
+
+let arCameraChoice = loadARCameraChoice();
+
+// Bumped for every camera open and on leaving AR, so a slow getUserMedia can't land late
+let cameraRequest = 0;
+
+// Remembered device, or the old default: back camera on mobile, front on desktop
+function loadARCameraChoice() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(AR_CAMERA_KEY));
+        if (stored && (stored.deviceId || stored.facingMode)) return stored;
+    } catch (error) {
+        console.warn('Ignoring saved camera choice:', error);
+    }
+    return { deviceId: null, facingMode: isMobile ? 'environment' : 'user' };
+}
+
+function saveARCameraChoice() {
+    try {
+        localStorage.setItem(AR_CAMERA_KEY, JSON.stringify(arCameraChoice));
+    } catch (error) {
+        console.warn('Could not save camera choice:', error);
+    }
+}
+
+// getUserMedia with a resolution ladder; a remembered device that's gone falls back to its facing mode
+async function openCameraStream(choice) {
+    const source = choice.deviceId ? { deviceId: { exact: choice.deviceId } } : { facingMode: choice.facingMode };
+    let lastError = null;
+
+    for (const resolution of AR_CAMERA_RESOLUTIONS) {
+        const video = { ...source, frameRate: { ideal: 30 } };
+        if (resolution) {
+            video.width = { ideal: resolution.width };
+            video.height = { ideal: resolution.height };
+        }
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video: video, audio: false });
+            const settings = stream.getVideoTracks()[0].getSettings();
+            console.log(`Camera opened at ${settings.width}x${settings.height}`, resolution ? '' : '(browser default)');
+            return stream;
+        } catch (error) {
+            lastError = error;
+
+            // Permission and missing-camera errors won't get better at a smaller size
+            if (!['OverconstrainedError', 'NotReadableError', 'AbortError'].includes(error.name)) break;
+            console.warn(`Camera refused ${resolution ? `${resolution.width}x${resolution.height}` : 'default size'}:`, error.name);
+        }
+    }
+
+    if (choice.deviceId && ['OverconstrainedError', 'NotFoundError'].includes(lastError.name)) {
+        return openCameraStream({ deviceId: null, facingMode: choice.facingMode });
+    }
+    throw lastError;
+}
+
+// Front cameras report facingMode 'user'; without it go by the label, then by device type
+function isFrontFacing(track) {
+    const facingMode = track.getSettings().facingMode;
+    if (facingMode) return facingMode === 'user';
+    if (/back|rear|environment/i.test(track.label)) return false;
+    if (/front|user|facetime/i.test(track.label)) return true;
+    return !isMobile; // Desktop webcams face the user
+}
+
+// Open a camera for `request` and show it; false when leaving AR or a newer request overtook it
+async function openARCamera(choice, request) {
+    const stream = await openCameraStream(choice);
+    if (request !== cameraRequest) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+    }
+    return attachARStream(stream, request);
+}
+
+// Show a new stream in the AR view and remember it as the camera of choice
+async function attachARStream(stream, request) {
+    if (videoStream && videoStream !== stream) {
+        videoStream.getTracks().forEach(track => track.stop());
+    }
+
+    videoStream = stream;
+    arVideo.srcObject = stream;
+
+    // Wait for video to load and play
+    await new Promise((resolve, reject) => {
+        const onLoaded = () => {
+            clearTimeout(timeout);
+            arVideo.play();
+            console.log('Video loaded:', arVideo.videoWidth, 'x', arVideo.videoHeight);
+            resolve();
+        };
+        const timeout = setTimeout(() => {
+            arVideo.removeEventListener('loadedmetadata', onLoaded);
+            reject(new Error('Camera did not start'));
+        }, AR_CAMERA_LOAD_TIMEOUT);
+        arVideo.addEventListener('loadedmetadata', onLoaded, { once: true });
+    });
+
+    // The stream this request opened has been replaced or stopped meanwhile
+    if (request !== cameraRequest) return false;
+
+    const track = stream.getVideoTracks()[0];
+    const frontFacing = isFrontFacing(track);
+    setARMirrored(frontFacing);
+
+    arCameraChoice = {
+        deviceId: track.getSettings().deviceId || null,
+        facingMode: frontFacing ? 'user' : 'environment'
+    };
+    saveARCameraChoice();
+
+    // New size and viewpoint: refit the canvases and start tracking afresh
+    resizeARCanvases();
+    arFootTrackers.left.reset();
+    arFootTrackers.right.reset();
+    refreshCameraList().catch(error => console.warn('Could not list cameras:', error));
+    return true;
+}
+
+function setupARCameraControls() {
+    const cameraSelect = document.getElementById('ar-camera-select');
+
+    cameraSelect.addEventListener('change', () => {
+        switchARCamera({ deviceId: cameraSelect.value, facingMode: arCameraChoice.facingMode });
+    });
+
+    document.getElementById('ar-flip-camera-btn').addEventListener('click', () => {
+        switchARCamera({ deviceId: null, facingMode: AR_PROJECTION.mirrored ? 'environment' : 'user' });
+    });
+
+    if (navigator.mediaDevices) {
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            if (isARMode) refreshCameraList().catch(error => console.warn('Could not list cameras:', error));
+        });
+    }
+}
+
+// Device labels are only filled in once camera permission is granted, so this runs after opening one
+async function refreshCameraList() {
+    const cameraSelect = document.getElementById('ar-camera-select');
+    const devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+
+    cameraSelect.innerHTML = '';
+    devices.forEach((device, index) => {
+        cameraSelect.add(new Option(device.label || `Camera ${index + 1}`, device.deviceId));
+    });
+    cameraSelect.value = arCameraChoice.deviceId || '';
+    cameraSelect.disabled = devices.length < 2;
+    document.getElementById('ar-flip-camera-btn').disabled = devices.length < 2;
+}
+
+async function switchARCamera(choice) {
+    if (!isARMode || poseReplay) return;
+
+    // Recorders hold on to the current stream
+    if (arRecording || arRecordingPending || poseRecording) {
+        updateARStatus('Stop recording before switching cameras', 'error');
+        refreshCameraList().catch(error => console.warn('Could not list cameras:', error));
+        return;
+    }
+
+    const request = ++cameraRequest;
+    const previousChoice = arCameraChoice;
+    updateARStatus('Switching camera...', 'detecting');
+
+    // Phones often can't open a second camera while one is running, so release it first
+    if (videoStream) {
+        videoStream.getTracks().forEach(track => track.stop());
+        videoStream = null;
+    }
+
+    try {
+        if (!(await openARCamera(choice, request))) return;
+        updateARStatus('Looking for feet...', 'detecting');
+    } catch (error) {
+        if (request !== cameraRequest) return;
+        console.error('Error switching camera:', error);
+        updateARStatus('That camera is unavailable, switching back', 'error');
+
+        try {
+            await openARCamera(previousChoice, request);
+        } catch (restoreError) {
+            if (request !== cameraRequest) return;
+            console.error('Error restoring camera:', restoreError);
+            updateARStatus('Camera error. Please try again.', 'error');
+        }
+    }
+}
+
+// ============================================================================
+// FOOT TRACKER BACKENDS
+// ============================================================================
+
+// Every backend reports frames in one shape, which is all onPoseResults reads:
+//   { personDetected, feet: { left, right }, world, segmentationMask }
+// A foot is { ankle, heel, toe, knee, confidence }, each keypoint { x, y, z, visibility } in
+// normalized video coordinates with MediaPipe's conventions (z in x units, smaller is closer)
+// or null when the backend has no such point. world is per-foot metric { ankle, heel, toe }
+// in MediaPipe world axes, or null; segmentationMask is a person mask image, or null.
+//
+// A backend is { id, label, init(), start(video, onFrame, onError), stop() }: init loads it
+// and rejects when it can't run here, start feeds it the AR video until stop.
+
+const AR_CONFIG_FILE = 'public/ar-config.json';
+const AR_TRACKER_KEY = 'sneaker-ar-tracker';
+const TRACKER_ERROR_LIMIT = 5; // Consecutive failed frames before a backend counts as broken
+const TRACKER_STARTUP_TIMEOUT = 15000; // Milliseconds a backend may take to report its first frame
+const TRACKER_FRAME_TIMEOUT = 3000; // Milliseconds without frames before a running backend counts as broken
+
+const FOOT_TRACKERS = {
+    mediapipe: { label: 'MediaPipe Pose', create: createMediaPipeTracker },
+    deepar: { label: 'DeepAR', create: createDeepARTracker },
+    mock: { label: 'Scripted mock', create: createMockTracker }
+};
+
+const MEDIAPIPE_FOOT_LANDMARKS = {
+    left: { knee: 25, ankle: 27, heel: 29, toe: 31 },
+    right: { knee: 26, ankle: 28, heel: 30, toe: 32 }
+};
+
+// Fallback order and backend settings, replaced by public/ar-config.json when it loads
+let arConfig = { trackers: ['mediapipe', 'deepar'], deepar: {} };
+let footTrackers = {};
+let activeTracker = null;
+let trackerRequest = 0;
+let preferredTrackerId = null;
+
+async function loadARConfig() {
+    try {
+        const response = await fetch(AR_CONFIG_FILE);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const trackers = (Array.isArray(data.trackers) ? data.trackers : []).filter(id => {
+            const valid = Object.prototype.hasOwnProperty.call(FOOT_TRACKERS, id);
+            if (!valid) console.warn('Skipping unknown tracker:', id);
+            return valid;
+        });
+
+        arConfig = {
+            trackers: trackers.length > 0 ? trackers : arConfig.trackers,
+            deepar: data.deepar || {}
+        };
+    } catch (error) {
+        console.warn('Could not load AR config, using defaults:', error);
+    }
+
+    preferredTrackerId = loadPreferredTracker();
+    console.log('AR trackers:', arConfig.trackers.join(' → '));
+}
+
+// Remembered backend, or the first of the configured order
+function loadPreferredTracker() {
+    try {
+        const stored = localStorage.getItem(AR_TRACKER_KEY);
+        if (Object.prototype.hasOwnProperty.call(FOOT_TRACKERS, stored)) return stored;
+    } catch (error) {
+        console.warn('Ignoring saved tracker choice:', error);
+    }
+    return arConfig.trackers[0];
+}
+
+function setupTrackerControls() {
+    const trackerSelect = document.getElementById('ar-tracker-select');
+
+    Object.entries(FOOT_TRACKERS).forEach(([id, backend]) => {
+        trackerSelect.add(new Option(backend.label, id));
+    });
+    trackerSelect.value = preferredTrackerId;
+
+    trackerSelect.addEventListener('change', () => {
+        preferredTrackerId = trackerSelect.value;
+        try {
+            localStorage.setItem(AR_TRACKER_KEY, preferredTrackerId);
+        } catch (error) {
+            console.warn('Could not save tracker choice:', error);
+        }
+
+        if (isARMode && !poseReplay) startFootTracker(preferredTrackerId);
+    });
+}
+
+function updateTrackerStatus(message, type = '') {
+    const status = document.getElementById('ar-tracker-status');
+    status.textContent = message;
+    status.className = `design-status ${type}`;
+}
+
+// One instance per backend, so models and SDKs load once per page
+function getFootTracker(id) {
+    if (!footTrackers[id]) {
+        footTrackers[id] = { id: id, label: FOOT_TRACKERS[id].label, ...FOOT_TRACKERS[id].create() };
+    }
+    return footTrackers[id];
+}
+
+// Run the preferred backend, or the first of the configured order that comes up;
+// a backend that breaks while running hands over to the next one the same way
+async function startFootTracker(preferredId, failed = []) {
+    stopFootTracker();
+    const request = trackerRequest;
+
+    const order = [preferredId, ...arConfig.trackers].filter((id, index, ids) =>
+        ids.indexOf(id) === index && !failed.includes(id)
+    );
+    const problems = [];
+
+    for (const id of order) {
+        const tracker = getFootTracker(id);
+        updateTrackerStatus(`Loading ${tracker.label}…`);
+
+        try {
+            await tracker.init();
+        } catch (error) {
+            console.warn(`${tracker.label} tracker unavailable:`, error);
+            problems.push(`${tracker.label}: ${error.message}`);
+            continue;
+        }
+
+        // Left AR or picked another backend while this one loaded
+        if (request !== trackerRequest || !isARMode) return;
+
+        activeTracker = tracker;
+        try {
+            tracker.start(arVideo, onPoseResults, error => {
+                if (activeTracker !== tracker) return;
+                console.error(`${tracker.label} tracker failed:`, error);
+                startFootTracker(preferredId, [...failed, tracker.id]);
+            });
+        } catch (error) {
+            console.warn(`${tracker.label} tracker failed to start:`, error);
+            problems.push(`${tracker.label}: ${error.message}`);
+            activeTracker = null;
+            continue;
+        }
+
+        const fallback = id !== preferredId;
+        updateTrackerStatus(
+            fallback ? `⚠️ ${getFootTracker(preferredId).label} unavailable, using ${tracker.label}` : `Tracking with ${tracker.label}`,
+            fallback ? 'warning' : 'success'
+        );
+        console.log(`Foot tracking with ${tracker.label}`, problems);
+        return;
+    }
+
+    updateTrackerStatus(`❌ No tracker available (${problems.join('; ') || 'all failed'})`, 'error');
+    updateARStatus('Foot tracking unavailable', 'error');
+}
+
+function stopFootTracker() {
+    trackerRequest++;
+    if (activeTracker) {
+        activeTracker.stop();
+        activeTracker = null;
+    }
+    updateTrackerStatus('');
+}
+
+// MediaPipe's 33 body landmarks to a tracker frame; also how v1 pose sessions are read
+function mediaPipeToFootFrame(results) {
+    const landmarks = results.poseLandmarks;
+    const worldLandmarks = results.poseWorldLandmarks;
+    const frame = {
+        personDetected: Boolean(landmarks && landmarks.length >= 33),
+        feet: { left: null, right: null },
+        world: null,
+        segmentationMask: results.segmentationMask || null
+    };
+    if (!frame.personDetected) return frame;
+
+    if (worldLandmarks) frame.world = {};
+    Object.entries(MEDIAPIPE_FOOT_LANDMARKS).forEach(([side, ids]) => {
+        const foot = {
+            knee: landmarks[ids.knee] || null,
+            ankle: landmarks[ids.ankle] || null,
+            heel: landmarks[ids.heel] || null,
+            toe: landmarks[ids.toe] || null
+        };
+        const visibilities = [foot.ankle, foot.heel, foot.toe].map(point => (point && point.visibility) || 0);
+        foot.confidence = visibilities.reduce((sum, value) => sum + value, 0) / visibilities.length;
+        frame.feet[side] = foot;
+
+        if (worldLandmarks) {
+            frame.world[side] = {
+                ankle: worldLandmarks[ids.ankle],
+                heel: worldLandmarks[ids.heel],
+                toe: worldLandmarks[ids.toe]
+            };
+        }
+    });
+
+    return frame;
+}
+
+// MediaPipe Pose on our own frame loop, so it always reads the stream the camera picker chose
+function createMediaPipeTracker() {
+    let session = null; // Replaced on every start, so a stopped loop can't outlive a restart
+    let emit = null;
+
+    return {
+        async init() {
+            if (pose) return;
+            if (typeof Pose === 'undefined') throw new Error('MediaPipe Pose did not load');
+
+            const instance = new Pose({
+                locateFile: (file) => {
+                    return `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`;
+                }
+            });
+
+            instance.setOptions({
+                modelComplexity: 1,
+                smoothLandmarks: true,
+                enableSegmentation: true, // Person mask for leg occlusion
+                smoothSegmentation: true,
+                minDetectionConfidence: 0.7, // Higher confidence for better detection
+                minTrackingConfidence: 0.6
+            });
+
+            instance.onResults(results => {
+                if (session) emit(mediaPipeToFootFrame(results));
+            });
+
+            await instance.initialize();
+            pose = instance;
+        },
+
+        start(video, onFrame, onError) {
+            const current = session = { errors: 0 };
+
+            // One frame at a time: the next send waits for the previous result
+            const detectFrame = async () => {
+                if (session !== current) return;
+
+                if (video.readyState >= 2 && video.videoWidth > 0) {
+                    try {
+                        await pose.send({ image: video });
+                        current.errors = 0;
+                    } catch (error) {
+                        console.error('Pose detection error:', error);
+                        if (++current.errors >= TRACKER_ERROR_LIMIT) {
+                            session = null;
+                            onError(error);
+                            return;
+                        }
+                    }
+                }
+
+                requestAnimationFrame(detectFrame);
+            };
+
+            emit = onFrame;
+            detectFrame();
+        },
+
+        stop() {
+            session = null;
+        }
+    };
+}
+
+// Foot-local keypoints for DeepAR, in units of the foot's reported scale along x (side), y (up)
+// and z (heel→toe). The SDK's foot data is marked internal and its frame is undocumented, so
+// these can be overridden with deepar.footKeypoints in the AR config
+const DEEPAR_FOOT_KEYPOINTS = {
+    heel: [0, 0, -0.5],
+    toe: [0, 0, 0.5],
+    ankle: [0, 0.35, -0.3]
+};
+
+// DeepAR (v5 SDK) foot tracking on our video element. Needs a license key and a foot-tracking
+// effect from the AR config: the SDK only tracks feet while such an effect is loaded
+function createDeepARTracker() {
+    let instance = null;
+    let camera = null;
+    let emit = null;
+    let watchdog = null;
+    let deadline = 0;
+    let reported = false;
+
+    return {
+        async init() {
+            if (instance) return;
+
+            const config = arConfig.deepar;
+            if (typeof deepar === 'undefined') throw new Error('DeepAR SDK did not load');
+            if (!config.licenseKey) throw new Error(`no license key in ${AR_CONFIG_FILE}`);
+            if (!config.effect) throw new Error(`no foot-tracking effect in ${AR_CONFIG_FILE}`);
+
+            // DeepAR renders its effect onto its own canvas, the shoes are ours so it stays offscreen
+            const canvas = document.createElement('canvas');
+            canvas.width = arVideo.videoWidth || 1280;
+            canvas.height = arVideo.videoHeight || 720;
+
+            instance = await deepar.initialize({
+                licenseKey: config.licenseKey,
+                canvas: canvas,
+                effect: config.effect,
+                rootPath: config.rootPath || undefined,
+                additionalOptions: {
+                    cameraConfig: { disableDefaultCamera: true },
+                    hint: 'footInit'
+                }
+            });
+
+            // The lens is only reported once, and the footInit hint may have got there already
+            if (instance.isFootTrackingInitialized()) {
+                console.warn('DeepAR foot tracking was up before its field of view could be read, using arCamera\'s');
+            } else {
+                instance.callbacks.onFootTrackingInitialized = (fovY, filteringDelay, width, height) => {
+                    camera = { fovY: fovY, width: width, height: height };
+                };
+            }
+            instance.callbacks.onFeetTracked = (leftFoot, rightFoot) => {
+                deadline = performance.now() + TRACKER_FRAME_TIMEOUT;
+                reported = true;
+                if (emit) emit(deepARToFootFrame(leftFoot, rightFoot, camera));
+            };
+        },
+
+        // DeepAR reports feet every frame it tracks, even without any in view, so silence means
+        // it isn't tracking at all (e.g. a wrong effect or an expired license)
+        start(video, onFrame, onError) {
+            // Nothing is live until the SDK takes the video, so a throw here leaves no state behind
+            instance.setVideoElement(video, false);
+            emit = onFrame;
+
+            deadline = performance.now() + TRACKER_STARTUP_TIMEOUT;
+            reported = false;
+            watchdog = setInterval(() => {
+                const now = performance.now();
+
+                // Hidden tabs pause the video, which isn't the tracker's fault
+                if (document.hidden) {
+                    deadline = Math.max(deadline, now + TRACKER_FRAME_TIMEOUT);
+                } else if (now > deadline) {
+                    clearInterval(watchdog);
+                    watchdog = null;
+                    onError(new Error(reported ? 'DeepAR stopped reporting feet' : 'DeepAR never reported feet'));
+                }
+            }, 1000);
+        },
+
+        stop() {
+            emit = null;
+            clearInterval(watchdog);
+            watchdog = null;
+            instance.stopVideo();
+        }
+    };
+}
+
+// DeepAR foot poses to projected keypoints. Its camera looks down -z with y up, like arCamera
+function deepARToFootFrame(leftFoot, rightFoot, camera) {
+    // Without DeepAR's own lens, assume it sees the video through the same one as arCamera
+    let fovY = camera ? camera.fovY : THREE.MathUtils.degToRad(arCamera.fov);
+    if (fovY > Math.PI) fovY = THREE.MathUtils.degToRad(fovY); // Only degrees can be that large
+    const aspect = camera ? camera.width / camera.height : arVideo.videoWidth / arVideo.videoHeight;
+    const tanY = Math.tan(fovY / 2);
+    const keypoints = { ...DEEPAR_FOOT_KEYPOINTS, ...arConfig.deepar.footKeypoints };
+
+    const toFoot = data => {
+        if (!data || !data.detected) return null;
+
+        const position = new THREE.Vector3(...data.position);
+        const rotation = new THREE.Quaternion(...data.rotation);
+        const scale = new THREE.Vector3(...data.scale);
+        const depth = -position.z;
+
+        // z in MediaPipe's units: depth offset over the frame width at the foot's distance
+        const span = 2 * depth * tanY * aspect;
+        const project = offset => {
+            const point = new THREE.Vector3(...offset).multiply(scale).applyQuaternion(rotation).add(position);
+            return {
+                x: 0.5 + point.x / (-point.z * tanY * aspect) / 2,
+                y: 0.5 - point.y / (-point.z * tanY) / 2,
+                z: (-point.z - depth) / span,
+                visibility: 1
+            };
+        };
+
+        return {
+            knee: null,
+            ankle: project(keypoints.ankle),
+            heel: project(keypoints.heel),
+            toe: project(keypoints.toe),
+            confidence: 1
+        };
+    };
+
+    const feet = { left: toFoot(leftFoot), right: toFoot(rightFoot) };
+    return {
+        personDetected: Boolean(feet.left || feet.right),
+        feet: feet,
+        world: null,
+        segmentationMask: null
+    };
+}
+
+// Two feet shuffling in a loop, with a dropout on the right, so placement, smoothing and the
+// hold/fade can be worked on without a camera. Feet are heel position, heel→toe angle on screen
+// (90° points straight down) and length, all in normalized video units
+const MOCK_TRACKER_SCRIPT = {
+    duration: 6,
+    fps: 30,
+    keyframes: [
+        { t: 0, left: { x: 0.40, y: 0.72, angle: 100, length: 0.09 }, right: { x: 0.58, y: 0.72, angle: 80, length: 0.09 } },
+        { t: 1.5, left: { x: 0.38, y: 0.66, angle: 115, length: 0.1 }, right: { x: 0.58, y: 0.72, angle: 80, length: 0.09 } },
+        { t: 3, left: { x: 0.40, y: 0.72, angle: 100, length: 0.09 }, right: { x: 0.60, y: 0.68, angle: 65, length: 0.1 } },
+        { t: 3.6, left: { x: 0.40, y: 0.72, angle: 100, length: 0.09 }, right: null },
+        { t: 4.4, left: { x: 0.40, y: 0.72, angle: 100, length: 0.09 }, right: { x: 0.58, y: 0.72, angle: 80, length: 0.09 } },
+        { t: 6, left: { x: 0.40, y: 0.72, angle: 100, length: 0.09 }, right: { x: 0.58, y: 0.72, angle: 80, length: 0.09 } }
+    ]
+};
+
+function createMockTracker() {
+    let timer = null;
+
+    return {
+        async init() {},
+
+        start(video, onFrame) {
+            const startTime = performance.now();
+            timer = setInterval(() => {
+                const time = ((performance.now() - startTime) / 1000) % MOCK_TRACKER_SCRIPT.duration;
+                onFrame(getMockFootFrame(time, video.videoWidth / video.videoHeight || 16 / 9));
+            }, 1000 / MOCK_TRACKER_SCRIPT.fps);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+// Interpolate the script at `time` and build each foot's keypoints from heel, angle and length
+function getMockFootFrame(time, aspect) {
+    const keyframes = MOCK_TRACKER_SCRIPT.keyframes;
+    const index = Math.max(0, keyframes.findIndex(keyframe => keyframe.t > time) - 1);
+    const from = keyframes[index];
+    const to = keyframes[Math.min(index + 1, keyframes.length - 1)];
+    const blend = to.t > from.t ? (time - from.t) / (to.t - from.t) : 0;
+
+    const toFoot = side => {
+        const a = from[side];
+        const b = to[side] || a;
+        if (!a) return null;
+
+        const lerp = key => a[key] + (b[key] - a[key]) * blend;
+        const angle = THREE.MathUtils.degToRad(lerp('angle'));
+        const length = lerp('length');
+        const point = (x, y, z) => ({ x: x, y: y, z: z, visibility: 1 });
+
+        // Toes point partly at the camera; the ankle sits above the back of the foot, the knee above that
+        const heel = point(lerp('x'), lerp('y'), 0);
+        const toe = point(heel.x + Math.cos(angle) * length, heel.y + Math.sin(angle) * length * aspect, -length * 0.6);
+        const ankle = point(heel.x + Math.cos(angle) * length * 0.15, heel.y - length * 0.35 * aspect, -length * 0.1);
+        const knee = point(ankle.x, ankle.y - length * 2.4 * aspect, ankle.z);
+
+        return { knee: knee, ankle: ankle, heel: heel, toe: toe, confidence: 1 };
+    };
+
+    return {
+        personDetected: true,
+        feet: { left: toFoot('left'), right: toFoot('right') },
+        world: null,
+        segmentationMask: null
+    };
+}
+
+// ============================================================================
+// 3D FOOT POSE SOLVER
+// ============================================================================
+
+// Keypoints of one tracker foot that clear the visibility threshold
+function getVisibleFootPoints(foot) {
+    const visible = point => point && point.visibility > AR_TRACKING.visibilityThreshold ? point : null;
+    return {
+        ankle: foot ? visible(foot.ankle) : null,
+        heel: foot ? visible(foot.heel) : null,
+        toe: foot ? visible(foot.toe) : null,
+        knee: foot ? visible(foot.knee) : null
+    };
+}
+
+// Visible keypoints of one foot, or null without both ankle and toes
+function getFootLandmarks(frame, side) {
+    const { ankle, heel, toe } = getVisibleFootPoints(frame.feet[side]);
+
+    const foot = { ankle: ankle, heel: heel, toe: toe, world: null };
+    if (!foot.ankle || !foot.toe) return null;
+
+    // Metric world keypoints give the foot's real size and the truest shape
+    if (frame.world && frame.world[side]) {
+        foot.world = frame.world[side];
+    }
+
+    return foot;
+}
+
+// Ankle-above-heel direction in scene axes, from metric world landmarks when the heel is in them
+function getFootUpVector(foot, points) {
+    if (foot.world && foot.heel) {
+        // MediaPipe is y down and z away from the camera, the AR scene is y up and z towards it
+        const { ankle, heel } = foot.world;
+        return new THREE.Vector3(ankle.x - heel.x, heel.y - ankle.y, heel.z - ankle.z);
+    }
+
+    if (points.heel) {
+        return new THREE.Vector3().subVectors(points.ankle, points.heel);
+    }
+
+    return new THREE.Vector3(0, 1, 0);
+}
+
+// Rotation taking the model's forward/up axes onto the foot's heel→toe and ankle-above-heel axes
+function solveFootOrientation(footForward, footUp) {
+    const forward = footForward.clone().normalize();
+
+    // Ankle is above the heel, keep only the part of that at right angles to the sole
+    const up = footUp.clone().addScaledVector(forward, -footUp.dot(forward));
+    if (up.lengthSq() < 1e-6) {
+        up.set(0, 0, 1).addScaledVector(forward, -forward.z);
+    }
+    up.normalize();
+
+    const model = getModelAxes();
+    const modelUp = model.up.clone().addScaledVector(model.forward, -model.up.dot(model.forward)).normalize();
+    const footBasis = new THREE.Matrix4().makeBasis(new THREE.Vector3().crossVectors(up, forward), up, forward);
+    const modelBasis = new THREE.Matrix4().makeBasis(new THREE.Vector3().crossVectors(modelUp, model.forward), modelUp, model.forward);
+
+    // Both bases are orthonormal, so the model basis inverts by transposing
+    const rotation = footBasis.multiply(modelBasis.transpose());
+    return new THREE.Quaternion().setFromRotationMatrix(rotation);
+}
+
+// ============================================================================
+// AR PROJECTION
+// ============================================================================
+
+// Tunable from the console through window.arProjection
+const AR_PROJECTION = {
+    horizontalFov: 65, // Degrees, typical for webcams and phone main cameras
+    defaultAnkleToeLength: 0.18, // Meters, used when world landmarks are missing
+    ankleToeFraction: 0.8, // Share of heel→toe length covered by ankle→toe
+    mirrored: false, // Display and captures are flipped for front cameras
+    calibration: false // Draw detected vs. rendered heel and toe points
+};
+
+// Match arCamera to the video: same aspect, and the vertical FOV that goes with the horizontal one
+function updateARCameraProjection() {
+    if (!arCamera || !arVideo || !arVideo.videoWidth) return;
+
+    const aspect = arVideo.videoWidth / arVideo.videoHeight;
+    const halfHorizontal = THREE.MathUtils.degToRad(AR_PROJECTION.horizontalFov / 2);
+
+    arCamera.aspect = aspect;
+    arCamera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(halfHorizontal) / aspect));
+    arCamera.updateProjectionMatrix();
+}
+
+// Focal length in video pixels for the current FOV
+function getFocalLengthPixels() {
+    return (arVideo.videoWidth / 2) / Math.tan(THREE.MathUtils.degToRad(AR_PROJECTION.horizontalFov / 2));
+}
+
+// Camera distance in meters: the real ankle→toe length over its length in pixels, times the focal length
+function estimateFootDepth(foot) {
+    const width = arVideo.videoWidth;
+    const height = arVideo.videoHeight;
+
+    let realLength = AR_PROJECTION.defaultAnkleToeLength;
+    if (foot.world) {
+        const { ankle, toe } = foot.world;
+        realLength = Math.hypot(toe.x - ankle.x, toe.y - ankle.y, toe.z - ankle.z);
+    }
+
+    // Landmark z shares the x scale, so including it undoes foreshortening
+    const pixelLength = Math.hypot(
+        (foot.toe.x - foot.ankle.x) * width,
+        (foot.toe.y - foot.ankle.y) * height,
+        (foot.toe.z - foot.ankle.z) * width
+    );
+
+    return getFocalLengthPixels() * realLength / Math.max(pixelLength, 1);
+}
+
+// Depth of one landmark, offset from the foot's depth by its relative z (smaller is closer)
+function landmarkDepth(landmark, foot, depth) {
+    const referenceZ = (foot.ankle.z + foot.toe.z) / 2;
+    return depth + (landmark.z - referenceZ) * arVideo.videoWidth * depth / getFocalLengthPixels();
+}
+
+// Point on the camera ray through a normalized landmark, `depth` meters along the optical axis
+function unprojectLandmark(landmark, depth) {
+    const direction = new THREE.Vector3(landmark.x * 2 - 1, -(landmark.y * 2 - 1), 0.5)
+        .unproject(arCamera)
+        .sub(arCamera.position)
+        .normalize();
+    const axis = arCamera.getWorldDirection(new THREE.Vector3());
+
+    return arCamera.position.clone().addScaledVector(direction, depth / direction.dot(axis));
+}
+
+// Scene point to video pixels, the inverse of unprojectLandmark
+function projectToVideo(point) {
+    const ndc = point.clone().project(arCamera);
+    return {
+        x: (ndc.x + 1) / 2 * arVideo.videoWidth,
+        y: (1 - ndc.y) / 2 * arVideo.videoHeight
+    };
+}
+
+// Front cameras are shown mirrored, the video and both canvases flip together so they stay aligned
+function setARMirrored(mirrored) {
+    AR_PROJECTION.mirrored = mirrored;
+    document.getElementById('ar-container').classList.toggle('mirrored', mirrored);
+}
+
+// Text on the overlay canvas, flipped back so it reads correctly on a mirrored display
+function drawOverlayText(text, x, y) {
+    if (!AR_PROJECTION.mirrored) {
+        arOverlayContext.fillText(text, x, y);
+        return;
+    }
+
+    arOverlayContext.save();
+    arOverlayContext.translate(x, y);
+    arOverlayContext.scale(-1, 1);
+    arOverlayContext.fillText(text, 0, 0);
+    arOverlayContext.restore();
+}
+
+// Calibration check: detected heel/toe (rings) vs. the rendered shoe's sole anchors (crosses)
+function drawCalibrationCheck(feet) {
+    feet.forEach(({ foot, shoe }) => {
+        if (!foot || !shoe || !shoe.visible) return;
+
+        shoe.updateMatrixWorld(true);
+        const axes = getModelAxes();
+        const { halfLength, halfHeight } = shoe.userData;
+        const anchor = sign => axes.forward.clone().multiplyScalar(sign * halfLength)
+            .addScaledVector(axes.up, -halfHeight);
+
+        const pairs = [['toe', foot.toe, anchor(1)]];
+        if (foot.heel) pairs.push(['heel', foot.heel, anchor(-1)]);
+
+        pairs.forEach(([label, landmark, localAnchor]) => {
+            const detected = { x: landmark.x * arVideo.videoWidth, y: landmark.y * arVideo.videoHeight };
+            const rendered = projectToVideo(shoe.localToWorld(localAnchor));
+            const error = Math.hypot(rendered.x - detected.x, rendered.y - detected.y);
+
+            arOverlayContext.strokeStyle = '#00d2ff';
+            arOverlayContext.lineWidth = 2;
+            arOverlayContext.beginPath();
+            arOverlayContext.arc(detected.x, detected.y, 12, 0, 2 * Math.PI);
+            arOverlayContext.stroke();
+
+            arOverlayContext.strokeStyle = '#ff00ff';
+            arOverlayContext.beginPath();
+            arOverlayContext.moveTo(rendered.x - 8, rendered.y - 8);
+            arOverlayContext.lineTo(rendered.x + 8, rendered.y + 8);
+            arOverlayContext.moveTo(rendered.x + 8, rendered.y - 8);
+            arOverlayContext.lineTo(rendered.x - 8, rendered.y + 8);
+            arOverlayContext.stroke();
+
+            arOverlayContext.fillStyle = error < 10 ? '#00ff00' : '#feca57';
+            arOverlayContext.font = 'bold 12px Poppins';
+            drawOverlayText(`${label} ${error.toFixed(0)}px`, detected.x + 15, detected.y - 12);
+        });
+    });
+}
+
+// Status line for the per-foot tracking state
+function getFootTrackingStatus(leftTracked, rightTracked, leftSeen, rightSeen) {
+    if (leftTracked && rightTracked) {
+        return ['Both shoes on! Try walking around 👟👟', 'success'];
+    }
+
+    if (leftTracked || rightTracked) {
+        const trackedSide = leftTracked ? 'Left' : 'Right';
+        const otherSide = leftTracked ? 'right' : 'left';
+        const otherSeen = leftTracked ? rightSeen : leftSeen;
+        const hint = otherSeen ? 'show its ankle and toes' : 'not in view';
+        return [`${trackedSide} shoe on 👟 - ${otherSide} foot ${hint}`, 'success'];
+    }
+
+    return ['Feet detected - show ankle and toes clearly 👣', 'detecting'];
+}
+
+// Resize AR Canvases
+function resizeARCanvases() {
+    if (!arVideo || !arOverlayCanvas || !ar3DCanvas) return;
+
+    const videoWidth = arVideo.videoWidth;
+    const videoHeight = arVideo.videoHeight;
+
+    if (videoWidth && videoHeight) {
+        // Resize both canvases
+        arOverlayCanvas.width = videoWidth;
+        arOverlayCanvas.height = videoHeight;
+        ar3DCanvas.width = videoWidth;
+        ar3DCanvas.height = videoHeight;
+
+        // Update AR camera aspect ratio and FOV
+        updateARCameraProjection();
+
+        // Update AR renderer size
+        if (arRenderer) {
+            arRenderer.setSize(videoWidth, videoHeight);
+        }
+    }
+}
+
+// Update AR Status
+function updateARStatus(message, type = '') {
+    const statusElement = document.getElementById('ar-status');
+    if (statusElement) {
+        statusElement.textContent = message;
+        statusElement.className = `ar-status ${type}`;
+    }
+}
+
+// Capture AR Photo, after the optional countdown
+async function captureARPhoto() {
+    if (!arOverlayCanvas || !ar3DCanvas || !arVideo || arCountdownActive) return;
+
+    if (arPhotoSettings.countdown > 0) {
+        await runARCountdown(arPhotoSettings.countdown);
+        if (!isARMode) return;
+    }
+
+    try {
+        // Create a temporary canvas for the combined image
+        const tempCanvas = document.createElement('canvas');
+        const tempContext = tempCanvas.getContext('2d');
+
+        tempCanvas.width = arVideo.videoWidth;
+        tempCanvas.height = arVideo.videoHeight;
+
+        // Camera frame and shoe only, the landmark debug overlay stays out of shared photos
+        drawARComposite(tempContext, false);
+
+        if (arPhotoSettings.branding) {
+            drawARBranding(tempContext, tempCanvas.width, tempCanvas.height);
+        }
+
+        const blob = await new Promise(resolve => tempCanvas.toBlob(resolve, 'image/png'));
+
+        // toBlob hands back null when the canvas is too large or memory runs out
+        if (!blob) {
+            console.error('Error capturing AR photo: encoding failed');
+            updateARStatus('Could not save photo, try again', 'error');
+            return;
+        }
+
+        showARPhotoPreview(blob);
+
+        updateARStatus('📸 Photo captured!', 'success');
+        setTimeout(() => updateARStatus('Feet detected! 👟', 'success'), 2000);
+
+    } catch (error) {
+        console.error('Error capturing AR photo:', error);
+        updateARStatus('Error capturing photo', 'error');
+    }
+}
+
+// Draw the camera frame and 3D shoe (and optionally the landmark overlay) into a 2D context
+function drawARComposite(context, includeOverlay) {
+    // Flip like the on-screen view when the feed is mirrored
+    context.save();
+    if (AR_PROJECTION.mirrored) {
+        context.translate(arVideo.videoWidth, 0);
+        context.scale(-1, 1);
+    }
+
+    // Draw video frame
+    context.drawImage(arVideo, 0, 0);
+
+    // Draw 3D AR content
+    context.drawImage(ar3DCanvas, 0, 0);
+
+    // Draw overlay indicators
+    if (includeOverlay) {
+        context.drawImage(arOverlayCanvas, 0, 0);
+    }
+
+    context.restore();
+}
+
+// ============================================================================
+// AR POSE SMOOTHING
+// ============================================================================
+
+// Tunable from the console through window.arTracking
+const AR_TRACKING = {
+    visibilityThreshold: 0.5, // Landmark visibility needed to count as seen
+    position: { minCutoff: 1.2, beta: 4.0 }, // One-Euro filter, meters
+    rotation: { minCutoff: 1.0, beta: 0.4 }, // One-Euro filter, quaternion components
+    scale: { minCutoff: 0.6, beta: 1.5 }, // One-Euro filter, scale factor
+    derivativeCutoff: 1.0, // Hz, for the speed estimate that drives beta
+    holdTime: 0.3, // Seconds to keep the last pose after a dropout
+    fadeTime: 0.25, // Seconds to fade out after the hold
+    snapDistance: 0.15 // Meters, a jump this far resets the filters
+};
+
+let arFootTrackers = { left: createFootTracker(), right: createFootTracker() };
+
+// One-Euro filter: a low-pass whose cutoff rises with speed, steady when still and responsive when moving
+function createOneEuroFilter(params) {
+    let previous = null;
+    let previousDerivative = 0;
+    let previousTime = 0;
+
+    const smoothingFactor = (cutoff, dt) => {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    };
+
+    return {
+        filter(value, time) {
+            if (previous === null) {
+                previous = value;
+                previousDerivative = 0;
+                previousTime = time;
+                return value;
+            }
+
+            const dt = Math.max(time - previousTime, 1e-3);
+            const derivative = (value - previous) / dt;
+            previousDerivative += smoothingFactor(AR_TRACKING.derivativeCutoff, dt) * (derivative - previousDerivative);
+
+            const cutoff = params.minCutoff + params.beta * Math.abs(previousDerivative);
+            previous += smoothingFactor(cutoff, dt) * (value - previous);
+            previousTime = time;
+            return previous;
+        },
+
+        reset() {
+            previous = null;
+        }
+    };
+}
+
+// Per-foot filters plus the hold/fade state used while the foot is missing
+function createFootTracker() {
+    const filters = {
+        x: createOneEuroFilter(AR_TRACKING.position),
+        y: createOneEuroFilter(AR_TRACKING.position),
+        z: createOneEuroFilter(AR_TRACKING.position),
+        qx: createOneEuroFilter(AR_TRACKING.rotation),
+        qy: createOneEuroFilter(AR_TRACKING.rotation),
+        qz: createOneEuroFilter(AR_TRACKING.rotation),
+        qw: createOneEuroFilter(AR_TRACKING.rotation),
+        scale: createOneEuroFilter(AR_TRACKING.scale)
+    };
+
+    let last = null;
+    let lastSeen = 0;
+
+    return {
+        update(raw, time) {
+            const resetFilters = () => Object.values(filters).forEach(filter => filter.reset());
+
+            // Reappearing far away is a new placement, not motion to smooth through
+            if (!last || Math.hypot(raw.x - last.x, raw.y - last.y, raw.z - last.z) > AR_TRACKING.snapDistance) {
+                resetFilters();
+                last = null;
+            }
+
+            // q and -q are the same rotation, stay on the side of the last one so components don't jump
+            const q = raw.quaternion.clone();
+            if (last && q.dot(last.quaternion) < 0) {
+                q.set(-q.x, -q.y, -q.z, -q.w);
+            }
+
+            last = {
+                x: filters.x.filter(raw.x, time),
+                y: filters.y.filter(raw.y, time),
+                z: filters.z.filter(raw.z, time),
+                quaternion: new THREE.Quaternion(
+                    filters.qx.filter(q.x, time),
+                    filters.qy.filter(q.y, time),
+                    filters.qz.filter(q.z, time),
+                    filters.qw.filter(q.w, time)
+                ).normalize(),
+                scale: filters.scale.filter(raw.scale, time)
+            };
+            lastSeen = time;
+            return last;
+        },
+
+        // Opacity for a frame without the foot: full during the hold, then ramping to zero
+        dropout(time) {
+            if (!last) return 0;
+
+            const missing = time - lastSeen;
+            if (missing <= AR_TRACKING.holdTime) return 1;
+
+            const opacity = 1 - (missing - AR_TRACKING.holdTime) / AR_TRACKING.fadeTime;
+            if (opacity <= 0) {
+                last = null;
+                return 0;
+            }
+            return opacity;
+        },
+
+        reset() {
+            last = null;
+        }
+    };
+}
+
+// ============================================================================
+// AR LEG OCCLUSION
+// ============================================================================
+
+const AR_OCCLUSION = {
+    enabled: true,
+    debug: false, // Tint the masks on the overlay canvas
+    maskScale: 0.5, // Occlusion mask resolution relative to the video
+    shinWidth: 0.45, // Leg region width as a share of the knee→ankle length
+    ankleExtension: 0.05, // How far past the ankle the region reaches, as a share of knee→ankle
+    threshold: 0.5 // Mask alpha that counts as leg
+};
+
+let arOcclusionContext = null;
+let arOcclusionTexture = null;
+let arOcclusionDebugContext = null;
+
+// Full-screen quad that only writes depth at the near plane wherever the mask marks a leg,
+// so the shoes behind those pixels fail the depth test and the video shows through
+function createAROccluder() {
+    if (!arOcclusionContext) {
+        arOcclusionContext = document.createElement('canvas').getContext('2d');
+        arOcclusionTexture = new THREE.CanvasTexture(arOcclusionContext.canvas);
+    }
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            mask: { value: arOcclusionTexture },
+            threshold: { value: AR_OCCLUSION.threshold }
+        },
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, -1.0, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D mask;
+            uniform float threshold;
+            varying vec2 vUv;
+            void main() {
+                if (texture2D(mask, vUv).a < threshold) discard;
+                gl_FragColor = vec4(0.0);
+            }
+        `,
+        colorWrite: false,
+        depthTest: false,
+        depthWrite: true
     });
-    arRenderer.setSize(ar3DCanvas.width, ar3DCanvas.height);
-    arRenderer.setClearColor(0x000000, 0); // Transparent background
 
-    // Clone the current shoe model for AR
-    if (loadedModel) {
-        arShoeModel = loadedModel.clone();
-        arShoeModel.scale.set(0.1, 0.1, 0.1); // Much smaller scale for AR
-        arScene.add(arShoeModel);
+    const occluder = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    occluder.frustumCulled = false;
+    occluder.renderOrder = -1; // Depth has to be in place before the shoes draw
+    return occluder;
+}
 
-        // Add lighting for AR scene
-        const arLight = new THREE.DirectionalLight(0xffffff, 1);
-        arLight.position.set(0, 10, 5);
-        arScene.add(arLight);
+// Leg mask: the person segmentation, kept only inside knee→ankle regions
+function updateAROcclusion(frame) {
+    if (!arOcclusionContext || !arVideo.videoWidth) return;
+
+    const canvas = arOcclusionContext.canvas;
+    const width = Math.round(arVideo.videoWidth * AR_OCCLUSION.maskScale);
+    const height = Math.round(arVideo.videoHeight * AR_OCCLUSION.maskScale);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+        arOcclusionTexture.dispose(); // GPU storage is sized on first upload, reallocate it
+    } else {
+        arOcclusionContext.clearRect(0, 0, width, height);
+    }
 
-        const arAmbientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        arScene.add(arAmbientLight);
+    const regions = AR_OCCLUSION.enabled && frame.segmentationMask
+        ? getLegRegions(frame.feet, width, height)
+        : [];
+
+    if (regions.length > 0) {
+        arOcclusionContext.fillStyle = '#ffffff';
+        regions.forEach(region => {
+            arOcclusionContext.beginPath();
+            region.forEach((point, i) => {
+                if (i === 0) arOcclusionContext.moveTo(point.x, point.y);
+                else arOcclusionContext.lineTo(point.x, point.y);
+            });
+            arOcclusionContext.closePath();
+            arOcclusionContext.fill();
+        });
+
+        // The segmentation mask carries the person in its alpha channel
+        arOcclusionContext.globalCompositeOperation = 'destination-in';
+        arOcclusionContext.drawImage(frame.segmentationMask, 0, 0, width, height);
+        arOcclusionContext.globalCompositeOperation = 'source-over';
+    }
+
+    arOcclusionTexture.needsUpdate = true;
+
+    if (AR_OCCLUSION.debug) {
+        drawOcclusionDebug(frame.segmentationMask, regions);
     }
 }
 
-// Show AR Interface
-function showARInterface() {
-    console.log('Showing AR interface...');
+// Quad per visible leg, from the knee to just past the ankle, in mask pixels
+function getLegRegions(feet, width, height) {
+    return [feet.left, feet.right].map(foot => {
+        const { knee, ankle } = getVisibleFootPoints(foot);
+        if (!knee || !ankle) return null;
+
+        const kneePoint = new THREE.Vector2(knee.x * width, knee.y * height);
+        const anklePoint = new THREE.Vector2(ankle.x * width, ankle.y * height);
+        const along = new THREE.Vector2().subVectors(anklePoint, kneePoint);
+        const length = along.length();
+        if (length < 1) return null;
+
+        along.divideScalar(length);
+        const across = new THREE.Vector2(-along.y, along.x).multiplyScalar(length * AR_OCCLUSION.shinWidth / 2);
+        const end = anklePoint.clone().addScaledVector(along, length * AR_OCCLUSION.ankleExtension);
+
+        return [
+            kneePoint.clone().add(across),
+            end.clone().add(across),
+            end.clone().sub(across),
+            kneePoint.clone().sub(across)
+        ];
+    }).filter(Boolean);
+}
 
-    const arContainer = document.getElementById('ar-container');
-    const sceneContainer = document.getElementById('scene-container');
-    const panel = document.getElementById('customization-panel');
-    const arModeBtn = document.getElementById('ar-mode-btn');
-    const normalModeBtn = document.getElementById('normal-mode-btn');
-    const exportBtn = document.getElementById('export-btn');
-    const arCaptureBtn = document.getElementById('ar-capture-btn');
+// Debug view: person mask in blue, the occluding leg mask in red, leg regions outlined
+function drawOcclusionDebug(segmentationMask, regions) {
+    const width = arOverlayCanvas.width;
+    const height = arOverlayCanvas.height;
 
-    // Show AR container
-    if (arContainer) {
-        arContainer.classList.remove('hidden');
-        console.log('AR container shown');
+    if (!arOcclusionDebugContext) {
+        arOcclusionDebugContext = document.createElement('canvas').getContext('2d');
     }
+    const tint = arOcclusionDebugContext;
+    tint.canvas.width = width;
+    tint.canvas.height = height;
+
+    const drawTinted = (source, color, alpha) => {
+        tint.globalCompositeOperation = 'source-over';
+        tint.clearRect(0, 0, width, height);
+        tint.drawImage(source, 0, 0, width, height);
+        tint.globalCompositeOperation = 'source-in';
+        tint.fillStyle = color;
+        tint.fillRect(0, 0, width, height);
+
+        arOverlayContext.globalAlpha = alpha;
+        arOverlayContext.drawImage(tint.canvas, 0, 0);
+        arOverlayContext.globalAlpha = 1;
+    };
 
-    // Hide 3D scene
-    if (sceneContainer) {
-        sceneContainer.style.display = 'none';
-        console.log('3D scene hidden');
+    if (segmentationMask) drawTinted(segmentationMask, '#4d7cff', 0.3);
+    drawTinted(arOcclusionContext.canvas, '#ff3b3b', 0.6);
+
+    const scaleX = width / arOcclusionContext.canvas.width;
+    const scaleY = height / arOcclusionContext.canvas.height;
+    arOverlayContext.strokeStyle = '#feca57';
+    arOverlayContext.lineWidth = 2;
+    arOverlayContext.setLineDash([6, 4]);
+    regions.forEach(region => {
+        arOverlayContext.beginPath();
+        region.forEach((point, i) => {
+            if (i === 0) arOverlayContext.moveTo(point.x * scaleX, point.y * scaleY);
+            else arOverlayContext.lineTo(point.x * scaleX, point.y * scaleY);
+        });
+        arOverlayContext.closePath();
+        arOverlayContext.stroke();
+    });
+    arOverlayContext.setLineDash([]);
+}
+
+// ============================================================================
+// AR LIGHTING ESTIMATION
+// ============================================================================
+
+const AR_LIGHTING = {
+    sampleInterval: 200, // ms between video samples
+    sampleSize: 64, // Width of the downscaled sample frame
+    smoothing: 1.5, // Seconds for the estimate to settle, so lights never flicker
+    footMargin: 0.08, // Normalized padding around the foot landmarks
+    neutralLuminance: 0.45, // Scene luminance that needs no exposure change
+    minExposure: 0.35,
+    maxExposure: 1.8,
+    colorStrength: 0.6, // How far light colors follow the scene's white balance
+    directionStrength: 2.5 // How far the key light swings toward the brighter side
+};
+
+// Estimate used when tracking starts, and with auto lighting off apart from the manual exposure
+const AR_LIGHTING_NEUTRAL = { exposure: 1, color: [1, 1, 1], direction: [0, 1] };
+
+let arLighting = null;
+let arLightingSampler = null;
+
+// Remember the base light setup and start from a neutral estimate
+function resetARLighting(keyLight, ambientLight) {
+    arLighting = {
+        keyLight: keyLight,
+        ambientLight: ambientLight,
+        basePosition: keyLight.position.clone(),
+        estimate: JSON.parse(JSON.stringify(AR_LIGHTING_NEUTRAL)),
+        lastSample: -Infinity,
+        auto: document.getElementById('ar-lighting-auto').checked,
+        manualExposure: parseFloat(document.getElementById('ar-lighting-slider').value)
+    };
+    applyARLighting();
+}
+
+function setupARLightingControls() {
+    const autoInput = document.getElementById('ar-lighting-auto');
+    const slider = document.getElementById('ar-lighting-slider');
+
+    autoInput.addEventListener('change', () => {
+        slider.disabled = autoInput.checked;
+        if (!arLighting) return;
+
+        arLighting.auto = autoInput.checked;
+        arLighting.manualExposure = parseFloat(slider.value);
+        applyARLighting();
+    });
+
+    slider.addEventListener('input', () => {
+        if (!arLighting) return;
+        arLighting.manualExposure = parseFloat(slider.value);
+        applyARLighting();
+    });
+
+    slider.disabled = autoInput.checked;
+}
+
+// Sample the video around the feet and ease the estimate towards what it sees
+function updateARLighting(frame) {
+    if (!arLighting || !arLighting.auto || !arVideo.videoWidth) return;
+
+    const now = getARTime();
+    const elapsed = now - arLighting.lastSample;
+    if (elapsed < AR_LIGHTING.sampleInterval) return;
+
+    const sample = sampleSceneLighting(frame);
+    if (!sample) return;
+
+    // Exponential smoothing, frame-rate independent; the first sample applies directly
+    const blend = Number.isFinite(elapsed) ? 1 - Math.exp(-elapsed / 1000 / AR_LIGHTING.smoothing) : 1;
+    const estimate = arLighting.estimate;
+    const lerp = (from, to) => from + (to - from) * blend;
+
+    estimate.exposure = lerp(estimate.exposure, sample.exposure);
+    estimate.color = estimate.color.map((value, i) => lerp(value, sample.color[i]));
+    estimate.direction = estimate.direction.map((value, i) => lerp(value, sample.direction[i]));
+    arLighting.lastSample = now;
+
+    applyARLighting();
+}
+
+// Brightness, gray-world white balance and a left/right, top/bottom brightness gradient
+function sampleSceneLighting(frame) {
+    const width = AR_LIGHTING.sampleSize;
+    const height = Math.max(1, Math.round(width * arVideo.videoHeight / arVideo.videoWidth));
+
+    if (!arLightingSampler) {
+        arLightingSampler = document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+    }
+    const canvas = arLightingSampler.canvas;
+    canvas.width = width;
+    canvas.height = height;
+    arLightingSampler.drawImage(arVideo, 0, 0, width, height);
+
+    // Region around the visible foot keypoints, or the lower half of the frame without any
+    const footPoints = [frame.feet.left, frame.feet.right]
+        .map(getVisibleFootPoints)
+        .flatMap(points => [points.ankle, points.heel, points.toe])
+        .filter(Boolean);
+
+    let region = { left: 0, top: 0.5, right: 1, bottom: 1 };
+    if (footPoints.length > 0) {
+        const margin = AR_LIGHTING.footMargin;
+        region = {
+            left: Math.min(...footPoints.map(p => p.x)) - margin,
+            top: Math.min(...footPoints.map(p => p.y)) - margin,
+            right: Math.max(...footPoints.map(p => p.x)) + margin,
+            bottom: Math.max(...footPoints.map(p => p.y)) + margin
+        };
     }
 
-    // Update panel appearance
-    if (panel) {
-        panel.classList.add('ar-active');
-        // Ensure panel is visible on mobile
-        if (isMobile) {
-            panel.classList.add('ar-mode');
+    const x0 = THREE.MathUtils.clamp(Math.floor(region.left * width), 0, width - 1);
+    const y0 = THREE.MathUtils.clamp(Math.floor(region.top * height), 0, height - 1);
+    const x1 = THREE.MathUtils.clamp(Math.ceil(region.right * width), x0 + 1, width);
+    const y1 = THREE.MathUtils.clamp(Math.ceil(region.bottom * height), y0 + 1, height);
+    const pixels = arLightingSampler.getImageData(x0, y0, x1 - x0, y1 - y0).data;
+
+    const regionWidth = x1 - x0;
+    const regionHeight = y1 - y0;
+    const toLinear = value => Math.pow(value / 255, 2.2);
+    let red = 0, green = 0, blue = 0;
+    let left = 0, right = 0, top = 0, bottom = 0;
+
+    for (let y = 0; y < regionHeight; y++) {
+        for (let x = 0; x < regionWidth; x++) {
+            const i = (y * regionWidth + x) * 4;
+            const r = toLinear(pixels[i]);
+            const g = toLinear(pixels[i + 1]);
+            const b = toLinear(pixels[i + 2]);
+            const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+            red += r;
+            green += g;
+            blue += b;
+            if (x < regionWidth / 2) left += luminance; else right += luminance;
+            if (y < regionHeight / 2) top += luminance; else bottom += luminance;
         }
     }
 
-    // Toggle buttons
-    if (arModeBtn) arModeBtn.classList.add('hidden');
-    if (normalModeBtn) normalModeBtn.classList.remove('hidden');
-    if (exportBtn) exportBtn.classList.add('hidden');
-    if (arCaptureBtn) arCaptureBtn.classList.remove('hidden');
+    const count = regionWidth * regionHeight;
+    const luminance = (0.2126 * red + 0.7152 * green + 0.0722 * blue) / count;
+    if (luminance <= 0) return null;
+
+    // Back to perceptual brightness so exposure scales the way the picture looks
+    const brightness = Math.pow(luminance, 1 / 2.2);
+    const exposure = THREE.MathUtils.clamp(
+        brightness / AR_LIGHTING.neutralLuminance, AR_LIGHTING.minExposure, AR_LIGHTING.maxExposure
+    );
+
+    // Average color is the illuminant under the gray-world assumption, normalized to its brightest channel
+    const maxChannel = Math.max(red, green, blue);
+    const color = [red, green, blue].map(channel => 1 + (channel / maxChannel - 1) * AR_LIGHTING.colorStrength);
+
+    // Light comes from the brighter side, image y runs down while the scene's runs up
+    const total = left + right;
+    const direction = [
+        THREE.MathUtils.clamp((right - left) / total * AR_LIGHTING.directionStrength, -1, 1),
+        THREE.MathUtils.clamp((top - bottom) / total * AR_LIGHTING.directionStrength + 1, 0, 2)
+    ];
+
+    return { exposure: exposure, color: color, direction: direction };
+}
+
+// Push the estimate (or the manual slider) into the lights and tone mapping
+function applyARLighting() {
+    if (!arLighting) return;
+
+    const slider = document.getElementById('ar-lighting-slider');
+    const estimate = arLighting.auto ? arLighting.estimate : { ...AR_LIGHTING_NEUTRAL, exposure: arLighting.manualExposure };
+    const lightColor = new THREE.Color(...estimate.color);
+    const { keyLight, ambientLight, basePosition } = arLighting;
 
-    // Apply mobile-specific video styles
-    if (isMobile && arVideo) {
-        arVideo.classList.remove('front-camera');
-        console.log('Applied mobile camera styles');
+    if (arRenderer) arRenderer.toneMappingExposure = estimate.exposure;
+
+    keyLight.color.copy(lightColor);
+    ambientLight.color.copy(lightColor);
+
+    // Swing the key light sideways and up/down around its original position
+    const [side, height] = estimate.direction;
+    keyLight.position.set(
+        basePosition.x + side * basePosition.length() * 0.5,
+        basePosition.y * height,
+        basePosition.z
+    );
+
+    // Show auto estimates on the slider so switching to manual starts from them
+    if (arLighting.auto) {
+        slider.value = estimate.exposure.toFixed(2);
     }
+    document.getElementById('ar-lighting-value').textContent = `${estimate.exposure.toFixed(2)}×`;
+}
 
-    // Resize AR canvases to match video
-    setTimeout(() => {
-        resizeARCanvases();
-    }, 100);
+// ============================================================================
+// POSE SESSION RECORDING & REPLAY
+// ============================================================================
 
-    console.log('AR interface setup complete');
+const POSE_SESSION_FORMAT = 'pose-session';
+const POSE_SESSION_VERSION = 2;
+const REPLAY_LOAD_TIMEOUT = 10000;
+const REPLAY_DRIFT_TOLERANCE = 0.25; // Seconds the video may run off the session clock before it's seeked
+
+// Each migration takes a session one version forward, like DESIGN_MIGRATIONS
+const POSE_SESSION_MIGRATIONS = {
+    // v1 stored raw MediaPipe landmarks, v2 stores tracker frames
+    1: session => ({
+        ...session,
+        version: 2,
+        tracker: 'mediapipe',
+        frames: session.frames.map(frame => {
+            const { personDetected, feet, world } = mediaPipeToFootFrame(frame);
+            return { t: frame.t, personDetected: personDetected, feet: feet, world: world };
+        })
+    })
+};
+
+let poseRecording = null;
+let poseReplay = null;
+
+function setupPoseSessionControls() {
+    const replayInput = document.getElementById('pose-replay-input');
+
+    document.getElementById('pose-record-btn').addEventListener('click', () => {
+        if (poseRecording) {
+            stopPoseRecording();
+        } else {
+            startPoseRecording();
+        }
+    });
+
+    document.getElementById('pose-replay-btn').addEventListener('click', () => {
+        if (poseReplay) {
+            stopPoseReplay();
+        } else {
+            replayInput.click();
+        }
+    });
+
+    // One JSON session, optionally with the camera video recorded alongside it
+    replayInput.addEventListener('change', async () => {
+        const files = Array.from(replayInput.files);
+        replayInput.value = '';
+
+        const sessionFile = files.find(file => file.name.endsWith('.json'));
+        const videoFile = files.find(file => file.type.startsWith('video/'));
+        if (!sessionFile) {
+            updatePoseLabStatus('Choose a pose session .json file', 'error');
+            return;
+        }
+
+        try {
+            const session = migratePoseSession(JSON.parse(await sessionFile.text()));
+            await startPoseReplay(session, videoFile);
+        } catch (error) {
+            console.error('Error replaying pose session:', error);
+            updatePoseLabStatus(`❌ ${error.message}`, 'error');
+        }
+    });
 }
 
-// Hide AR Interface
-function hideARInterface() {
-    const arContainer = document.getElementById('ar-container');
-    const sceneContainer = document.getElementById('scene-container');
-    const panel = document.getElementById('customization-panel');
-    const arModeBtn = document.getElementById('ar-mode-btn');
-    const normalModeBtn = document.getElementById('normal-mode-btn');
-    const exportBtn = document.getElementById('export-btn');
-    const arCaptureBtn = document.getElementById('ar-capture-btn');
+function updatePoseLabStatus(message, type = '') {
+    const status = document.getElementById('pose-lab-status');
+    status.textContent = message;
+    status.className = `design-status ${type}`;
+}
 
-    // Hide AR container
-    if (arContainer) arContainer.classList.add('hidden');
+function updatePoseLabButtons() {
+    const recordBtn = document.getElementById('pose-record-btn');
+    recordBtn.textContent = poseRecording ? '⏹️ Stop & Save' : '⏺️ Record Landmarks';
+    recordBtn.disabled = !poseRecording && (!isARMode || Boolean(poseReplay));
 
-    // Show 3D scene
-    if (sceneContainer) sceneContainer.style.display = 'block';
+    document.getElementById('pose-replay-btn').textContent = poseReplay ? '⏹️ Stop Replay' : '▶️ Replay Session…';
+    document.getElementById('pose-record-video').disabled = Boolean(poseRecording);
+}
+
+// Milliseconds on the AR clock: replays run on the recorded one so filters see the same timing every run
+function getARTime() {
+    return poseReplay ? poseReplay.time : performance.now();
+}
+
+function startPoseRecording() {
+    if (poseRecording || !isARMode || poseReplay) return;
+
+    poseRecording = {
+        startTime: performance.now(),
+        frames: [],
+        videoRecorder: null,
+        videoChunks: []
+    };
+
+    // Raw camera video, so a replay can show exactly what the tracker saw
+    const mimeType = WEBM_MIME_TYPES.find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+    if (document.getElementById('pose-record-video').checked && videoStream && mimeType) {
+        const recording = poseRecording;
+        recording.videoRecorder = new MediaRecorder(videoStream, { mimeType: mimeType });
+        recording.videoRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) recording.videoChunks.push(e.data);
+        };
+        recording.videoRecorder.start(1000);
+    }
+
+    updatePoseLabStatus('⏺️ Recording landmarks…');
+    updatePoseLabButtons();
+}
+
+// Masks are images and stay out of the file, so replays run without occlusion
+function recordPoseFrame(frame) {
+    poseRecording.frames.push({
+        t: Math.round(performance.now() - poseRecording.startTime),
+        personDetected: frame.personDetected,
+        feet: frame.feet,
+        world: frame.world
+    });
+}
+
+function stopPoseRecording() {
+    const recording = poseRecording;
+    if (!recording) return;
+    poseRecording = null;
+
+    const baseName = `pose-session-${Date.now()}`;
+    const session = {
+        format: POSE_SESSION_FORMAT,
+        version: POSE_SESSION_VERSION,
+        recorded: new Date().toISOString(),
+        model: currentModel ? currentModel.id : null,
+        tracker: activeTracker ? activeTracker.id : null,
+        video: {
+            width: arVideo.videoWidth,
+            height: arVideo.videoHeight,
+            file: recording.videoRecorder ? `${baseName}.webm` : null
+        },
+        mirrored: AR_PROJECTION.mirrored,
+        horizontalFov: AR_PROJECTION.horizontalFov,
+        frames: recording.frames
+    };
+
+    downloadBlob(new Blob([JSON.stringify(session)], { type: 'application/json' }), `${baseName}.json`);
+
+    if (recording.videoRecorder) {
+        recording.videoRecorder.onstop = () => {
+            downloadBlob(new Blob(recording.videoChunks, { type: 'video/webm' }), `${baseName}.webm`);
+        };
+        recording.videoRecorder.stop();
+    }
+
+    updatePoseLabStatus(`💾 Saved ${recording.frames.length} frames`, 'success');
+    updatePoseLabButtons();
+}
+
+// Throws with every problem found, like validateDesign; checks frames in the shape of their version
+function validatePoseSession(session) {
+    const problems = [];
+    const isPoint = point => point && ['x', 'y', 'z'].every(key => typeof point[key] === 'number');
+    const isLandmarkList = list => list === null || (Array.isArray(list) && list.every(isPoint));
+    const isFoot = foot => foot === null || (foot && typeof foot === 'object' && ['ankle', 'heel', 'toe', 'knee'].every(key =>
+        foot[key] === null || foot[key] === undefined || isPoint(foot[key])
+    ));
+    // Metric points are read without checks during tracking, so a side that's there needs all three
+    const isWorldFoot = foot => foot === null || foot === undefined ||
+        (typeof foot === 'object' && ['ankle', 'heel', 'toe'].every(key => isPoint(foot[key])));
+    const isWorld = world => world === null || world === undefined ||
+        (typeof world === 'object' && isWorldFoot(world.left) && isWorldFoot(world.right));
+    const isValidFrame = frame => session.version === 1
+        ? isLandmarkList(frame.poseLandmarks) && isLandmarkList(frame.poseWorldLandmarks)
+        : typeof frame.personDetected === 'boolean' && Boolean(frame.feet) &&
+            isFoot(frame.feet.left) && isFoot(frame.feet.right) && isWorld(frame.world);
+
+    if (!session || session.format !== POSE_SESSION_FORMAT) problems.push('not a pose session file');
+    else if (!Number.isInteger(session.version) || session.version < 1) problems.push('missing version');
+    else if (session.version > POSE_SESSION_VERSION) problems.push(`made by a newer version (v${session.version})`);
+
+    if (session && !(session.video && session.video.width > 0 && session.video.height > 0)) {
+        problems.push('missing video size');
+    }
+
+    if (!session || !Array.isArray(session.frames) || session.frames.length === 0) {
+        problems.push('no frames');
+    } else {
+        let previousTime = -Infinity;
+        session.frames.forEach((frame, index) => {
+            if (!frame || typeof frame !== 'object') {
+                problems.push(`frame ${index}: not an object`);
+            } else if (typeof frame.t !== 'number' || frame.t < previousTime) {
+                problems.push(`frame ${index}: bad timestamp`);
+            } else if (!isValidFrame(frame)) {
+                problems.push(`frame ${index}: bad keypoints`);
+            }
+
+            if (frame && typeof frame.t === 'number') previousTime = frame.t;
+        });
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid pose session: ${problems.slice(0, 5).join(', ')}`);
+    }
+}
+
+function migratePoseSession(session) {
+    validatePoseSession(session);
+
+    let migrated = session;
+    while (migrated.version < POSE_SESSION_VERSION) {
+        const migrate = POSE_SESSION_MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration from pose session version ${migrated.version}`);
+        }
+
+        console.log(`Migrating pose session from version ${migrated.version}`);
+        migrated = migrate(migrated);
+    }
+
+    validatePoseSession(migrated);
+    return migrated;
+}
+
+// Show the replay through the normal AR view: the recorded video, or a blank feed of the recorded size
+async function startPoseReplay(session, videoFile) {
+    if (isARMode) exitARMode();
+
+    const replay = {
+        session: session,
+        time: 0,
+        cancelled: false,
+        videoURL: null,
+        blankStream: null,
+        previousFov: AR_PROJECTION.horizontalFov
+    };
+    poseReplay = replay;
+
+    if (videoFile) {
+        replay.videoURL = URL.createObjectURL(videoFile);
+        arVideo.srcObject = null;
+        arVideo.src = replay.videoURL;
+    } else {
+        const blank = document.createElement('canvas');
+        blank.width = session.video.width;
+        blank.height = session.video.height;
+        const blankContext = blank.getContext('2d');
+        blankContext.fillStyle = '#222';
+        blankContext.fillRect(0, 0, blank.width, blank.height);
+        replay.blankStream = blank.captureStream(0);
+        replay.blankStream.getVideoTracks()[0].requestFrame();
+        arVideo.srcObject = replay.blankStream;
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('The replay video did not load')), REPLAY_LOAD_TIMEOUT);
+            arVideo.onloadedmetadata = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            arVideo.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('Could not load the replay video'));
+            };
+        });
+    } catch (error) {
+        if (replay.cancelled) return;
+        stopPoseReplay();
+        throw error;
+    }
+
+    // Stopped while the video loaded
+    if (replay.cancelled) return;
+    arVideo.pause();
+
+    // Same camera model as the recording, so placement is reproduced exactly
+    AR_PROJECTION.horizontalFov = session.horizontalFov || AR_PROJECTION.horizontalFov;
+    setARMirrored(Boolean(session.mirrored));
+    setupARScene();
+    showARInterface();
+    isARMode = true;
+    updatePoseLabButtons();
+
+    console.log(`Replaying ${session.frames.length} pose frames${videoFile ? ' with video' : ''}`);
+    runPoseReplay(replay);
+}
+
+// Frames are paced by their recorded timestamps on a wall clock, with the video playing alongside
+async function runPoseReplay(replay) {
+    const frames = replay.session.frames;
+    const startTime = performance.now();
+    let next = 0;
+
+    if (replay.videoURL) {
+        arVideo.play().catch(error => console.warn('Replay video did not play:', error));
+    }
+
+    while (next < frames.length) {
+        await nextFrame();
+        if (replay.cancelled) return;
+
+        // Every frame that's due, in order, so smoothing sees the same sequence as it did live
+        const elapsed = performance.now() - startTime;
+        while (next < frames.length && frames[next].t <= elapsed) {
+            const frame = frames[next++];
+            replay.time = frame.t;
+            onPoseResults({ ...frame, segmentationMask: null, replayed: true });
+            updatePoseLabStatus(`▶️ Frame ${next} / ${frames.length}`);
+        }
+
+        if (replay.videoURL) syncReplayVideo(elapsed / 1000);
+    }
+
+    updatePoseLabStatus(`✅ Replayed ${frames.length} frames`, 'success');
+}
+
+// MediaRecorder WebM has no cue index and seeks slowly, so only seek when playback has drifted
+function syncReplayVideo(seconds) {
+    if (arVideo.seeking || arVideo.ended || seconds > arVideo.duration) return;
+
+    if (Math.abs(arVideo.currentTime - seconds) > REPLAY_DRIFT_TOLERANCE) {
+        arVideo.currentTime = seconds;
+    }
+}
+
+function stopPoseReplay() {
+    const replay = poseReplay;
+    if (!replay) return;
 
-    // Update panel appearance
-    if (panel) panel.classList.remove('ar-active');
+    replay.cancelled = true;
+    poseReplay = null;
+    AR_PROJECTION.horizontalFov = replay.previousFov;
 
-    // Toggle buttons
-    if (arModeBtn) arModeBtn.classList.remove('hidden');
-    if (normalModeBtn) normalModeBtn.classList.add('hidden');
-    if (exportBtn) exportBtn.classList.remove('hidden');
-    if (arCaptureBtn) arCaptureBtn.classList.add('hidden');
+    arVideo.pause();
+    arVideo.removeAttribute('src');
+    arVideo.srcObject = null;
+    if (replay.videoURL) URL.revokeObjectURL(replay.videoURL);
+    if (replay.blankStream) replay.blankStream.getTracks().forEach(track => track.stop());
+
+    if (isARMode) exitARMode();
+    updatePoseLabStatus('');
+    updatePoseLabButtons();
 }
 
-// Start Pose Detection
-function startPoseDetection() {
-    if (!pose || !arVideo) return;
+// ============================================================================
+// AR MANUAL PLACEMENT
+// ============================================================================
 
-    console.log('Starting pose detection...');
+// Tunable from the console through window.arManual
+const AR_MANUAL = {
+    depth: 1, // Meters from the camera to the placed shoe
+    shoeLength: 0.28, // Meters at scale 1
+    floorTilt: 25, // Degrees the floor leans towards the camera, as seen from standing height
+    minScale: 0.3,
+    maxScale: 3,
+    wheelZoom: 0.0015, // Scale change per wheel delta unit
+    resumeFrames: 5, // Frames in a row with a tracked foot before automatic tracking takes over
+    handleGap: 28 // Pixels between the toe and the rotate handle
+};
+
+let arManualPlacement = null;
+
+function setupManualPlacementControls() {
+    const container = document.getElementById('ar-container');
+    const handle = document.getElementById('ar-rotate-handle');
+    const pointers = new Map();
+    let handlePointer = null;
+
+    document.getElementById('ar-place-btn').addEventListener('click', () => {
+        if (arManualPlacement) {
+            stopManualPlacement();
+            updateARStatus('Looking for feet...', 'detecting');
+        } else {
+            startManualPlacement();
+        }
+    });
 
-    const camera = new Camera(arVideo, {
-        onFrame: async () => {
-            if (isARMode && arVideo.readyState >= 2 && arVideo.videoWidth > 0) {
-                try {
-                    await pose.send({ image: arVideo });
-                } catch (error) {
-                    console.error('Pose detection error:', error);
-                }
-            }
-        },
-        width: 1280,
-        height: 720
+    // Drag with one finger or the mouse, pinch and twist with two
+    container.addEventListener('pointerdown', (e) => {
+        if (!arManualPlacement || e.target.closest('button')) return;
+        container.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
     });
 
-    // Add error handling
-    camera.start().catch(error => {
-        console.error('Camera start error:', error);
-        updateARStatus('Camera error - try refreshing', 'error');
+    container.addEventListener('pointermove', (e) => {
+        if (!arManualPlacement || !pointers.has(e.pointerId)) return;
+        const previous = Array.from(pointers.values());
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        applyPlacementGesture(previous, Array.from(pointers.values()));
     });
-}
 
-// Handle Pose Detection Results
-function onPoseResults(results) {
-    if (!isARMode || !arOverlayContext || !arOverlayCanvas) return;
+    const releasePointer = (e) => pointers.delete(e.pointerId);
+    container.addEventListener('pointerup', releasePointer);
+    container.addEventListener('pointercancel', releasePointer);
+
+    container.addEventListener('wheel', (e) => {
+        if (!arManualPlacement) return;
+        e.preventDefault();
+        scaleManualPlacement(Math.exp(-e.deltaY * AR_MANUAL.wheelZoom));
+        renderManualPlacement();
+    }, { passive: false });
+
+    // The handle turns the shoe around the point it stands on
+    handle.addEventListener('pointerdown', (e) => {
+        e.stopPropagation();
+        handle.setPointerCapture(e.pointerId);
+        handlePointer = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    });
 
-    // Resize canvases to match video
-    resizeARCanvases();
+    handle.addEventListener('pointermove', (e) => {
+        if (!arManualPlacement || !handlePointer || handlePointer.id !== e.pointerId) return;
+        const pivot = new THREE.Vector2(arManualPlacement.x * arVideo.videoWidth, arManualPlacement.y * arVideo.videoHeight);
+        const from = screenToVideoPixels(handlePointer).sub(pivot);
+        const to = screenToVideoPixels({ x: e.clientX, y: e.clientY }).sub(pivot);
 
-    // Clear overlay canvas
-    arOverlayContext.clearRect(0, 0, arOverlayCanvas.width, arOverlayCanvas.height);
+        arManualPlacement.rotation -= getScreenTurn(from, to);
+        handlePointer = { id: e.pointerId, x: e.clientX, y: e.clientY };
+        renderManualPlacement();
+    });
 
-    // Check if pose landmarks are detected with proper validation
-    if (results.poseLandmarks && results.poseLandmarks.length >= 33) {
-        const landmarks = results.poseLandmarks;
+    const releaseHandle = () => { handlePointer = null; };
+    handle.addEventListener('pointerup', releaseHandle);
+    handle.addEventListener('pointercancel', releaseHandle);
+}
 
-        // Get foot landmarks with visibility check
-        const leftAnkle = landmarks[27]?.visibility > 0.5 ? landmarks[27] : null;
-        const rightAnkle = landmarks[28]?.visibility > 0.5 ? landmarks[28] : null;
-        const leftHeel = landmarks[29]?.visibility > 0.5 ? landmarks[29] : null;
-        const rightHeel = landmarks[30]?.visibility > 0.5 ? landmarks[30] : null;
-        const leftFootIndex = landmarks[31]?.visibility > 0.5 ? landmarks[31] : null;
-        const rightFootIndex = landmarks[32]?.visibility > 0.5 ? landmarks[32] : null;
+function updatePlaceButton(feetTracked = false) {
+    const placeBtn = document.getElementById('ar-place-btn');
+    placeBtn.textContent = arManualPlacement ? '🎯 Back to tracking' : '📍 Place manually';
+    placeBtn.classList.toggle('hidden', feetTracked && !arManualPlacement);
+}
 
-        // Count visible foot landmarks
-        const leftFootLandmarks = [leftAnkle, leftHeel, leftFootIndex].filter(Boolean).length;
-        const rightFootLandmarks = [rightAnkle, rightHeel, rightFootIndex].filter(Boolean).length;
+// Stand the shoe in the middle of the lower half of the view, side on
+function startManualPlacement() {
+    if (!isARMode || arManualPlacement || !arShoeModels.left) return;
+
+    arManualPlacement = {
+        side: (currentModel && currentModel.side) || 'right',
+        x: 0.5,
+        y: 0.7,
+        scale: 1,
+        rotation: 0, // Radians around the floor normal, 0 points the toe to the right of the video
+        trackedFrames: 0
+    };
 
-        console.log(`Foot detection: Left=${leftFootLandmarks}/3, Right=${rightFootLandmarks}/3`);
+    document.getElementById('ar-container').classList.add('placing');
+    document.getElementById('ar-rotate-handle').classList.remove('hidden');
+    arOverlayContext.clearRect(0, 0, arOverlayCanvas.width, arOverlayCanvas.height);
+    updateARStatus('Drag to move, pinch or scroll to resize, twist to turn', 'success');
+    updatePlaceButton();
 
-        // Check if we have good foot detection (at least 2 landmarks per foot)
-        const hasGoodLeftFoot = leftFootLandmarks >= 2;
-        const hasGoodRightFoot = rightFootLandmarks >= 2;
+    renderManualPlacement();
+}
 
-        if (hasGoodLeftFoot || hasGoodRightFoot) {
-            // Check if we have both ankle and foot index for positioning
-            const hasCompleteRightFoot = rightAnkle && rightFootIndex;
-            const hasCompleteLeftFoot = leftAnkle && leftFootIndex;
+function stopManualPlacement() {
+    if (!arManualPlacement) return;
+    arManualPlacement = null;
 
-            if (hasCompleteRightFoot || hasCompleteLeftFoot) {
-                updateARStatus('Shoe positioned! Try moving your foot 👟✨', 'success');
+    document.getElementById('ar-container').classList.remove('placing');
+    document.getElementById('ar-rotate-handle').classList.add('hidden');
+    updatePlaceButton();
 
-                // Draw foot indicators
-                drawFootIndicators(leftAnkle, rightAnkle, leftFootIndex, rightFootIndex);
+    // Tracking starts afresh instead of easing in from the placed pose
+    [arShoeModels.left, arShoeModels.right].forEach(shoe => {
+        if (shoe) shoe.visible = false;
+    });
+    arFootTrackers.left.reset();
+    arFootTrackers.right.reset();
+    if (arRenderer && arScene && arCamera) {
+        arRenderer.render(arScene, arCamera);
+    }
+}
 
-                // Position AR shoe
-                positionARShoe(leftAnkle, rightAnkle, leftFootIndex, rightFootIndex);
-            } else {
-                updateARStatus('Feet detected - show ankle and toes clearly 👣', 'detecting');
+// While placing, tracker frames only count towards handing back to automatic tracking
+function holdManualPlacement(frame) {
+    const feetFound = frame.personDetected && Boolean(getFootLandmarks(frame, 'left') || getFootLandmarks(frame, 'right'));
+    arManualPlacement.trackedFrames = feetFound ? arManualPlacement.trackedFrames + 1 : 0;
+    if (arManualPlacement.trackedFrames < AR_MANUAL.resumeFrames) return true;
 
-                // Draw whatever foot indicators we have
-                drawFootIndicators(leftAnkle, rightAnkle, leftFootIndex, rightFootIndex);
-            }
+    console.log('Feet found, leaving manual placement');
+    stopManualPlacement();
+    return false;
+}
 
-            // Always render AR scene when feet detected
-            if (arRenderer && arScene && arCamera) {
-                arRenderer.render(arScene, arCamera);
-            }
-        } else {
-            updateARStatus('Point camera at your feet - move closer 👣', 'detecting');
+// Move by the pointers' centroid; with two pointers also scale by their spread and turn by their twist
+function applyPlacementGesture(previous, current) {
+    const before = previous.slice(0, 2).map(screenToVideoPixels);
+    const after = current.slice(0, 2).map(screenToVideoPixels);
+    const centroid = points => points.reduce((sum, point) => sum.add(point), new THREE.Vector2()).divideScalar(points.length);
+
+    const move = centroid(after).sub(centroid(before));
+    arManualPlacement.x = THREE.MathUtils.clamp(arManualPlacement.x + move.x / arVideo.videoWidth, 0, 1);
+    arManualPlacement.y = THREE.MathUtils.clamp(arManualPlacement.y + move.y / arVideo.videoHeight, 0, 1);
+
+    if (before.length >= 2 && after.length >= 2) {
+        const from = new THREE.Vector2().subVectors(before[1], before[0]);
+        const to = new THREE.Vector2().subVectors(after[1], after[0]);
+        scaleManualPlacement(to.length() / Math.max(from.length(), 1));
+        arManualPlacement.rotation -= getScreenTurn(from, to);
+    }
 
-            // Clear the 3D scene when no feet detected
-            if (arShoeModel) {
-                arShoeModel.visible = false;
-            }
+    renderManualPlacement();
+}
 
-            // Draw a simple indicator that pose detection is working
-            drawPoseDetectionIndicator();
-        }
-    } else {
-        updateARStatus('Looking for pose...', 'detecting');
+// Signed angle from one video-pixel vector to another; video y runs down, so positive is
+// clockwise on screen, which is clockwise seen from above the floor and so a negative rotation
+function getScreenTurn(from, to) {
+    return Math.atan2(from.x * to.y - from.y * to.x, from.dot(to));
+}
 
-        // Hide shoe when no pose detected
-        if (arShoeModel) {
-            arShoeModel.visible = false;
-        }
+function scaleManualPlacement(factor) {
+    arManualPlacement.scale = THREE.MathUtils.clamp(arManualPlacement.scale * factor, AR_MANUAL.minScale, AR_MANUAL.maxScale);
+}
 
-        // Draw "no pose" indicator
-        drawNoPoseIndicator();
+// Stand the placed shoe on a floor tilted towards the camera and draw it
+function renderManualPlacement() {
+    const placement = arManualPlacement;
+    const shoe = placement && arShoeModels[placement.side];
+    if (!shoe || !arCamera || !arVideo.videoWidth) return;
+
+    const tilt = THREE.MathUtils.degToRad(AR_MANUAL.floorTilt);
+    const xAxis = new THREE.Vector3(1, 0, 0);
+    const up = new THREE.Vector3(0, 1, 0).applyAxisAngle(xAxis, tilt);
+    const forward = new THREE.Vector3(1, 0, 0)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), placement.rotation)
+        .applyAxisAngle(xAxis, tilt);
+    const scale = AR_MANUAL.shoeLength * placement.scale / (shoe.userData.halfLength * 2);
+
+    // The placement point is where the sole meets the floor, the shoe's center sits above it
+    const ground = unprojectLandmark(placement, AR_MANUAL.depth);
+    shoe.position.copy(ground).addScaledVector(up, shoe.userData.halfHeight * scale);
+    shoe.quaternion.copy(solveFootOrientation(forward, up));
+    shoe.scale.setScalar(scale);
+    shoe.visible = true;
+    updateARShoeMaterials(shoe, 1);
+
+    const otherShoe = arShoeModels[placement.side === 'left' ? 'right' : 'left'];
+    if (otherShoe) otherShoe.visible = false;
+
+    positionRotateHandle(ground, ground.clone().addScaledVector(forward, shoe.userData.halfLength * scale));
+
+    if (arRenderer && arScene) {
+        arRenderer.render(arScene, arCamera);
     }
 }
 
-// Draw indicator when pose detection is working but no feet found
-function drawPoseDetectionIndicator() {
-    const centerX = arOverlayCanvas.width / 2;
-    const centerY = arOverlayCanvas.height / 2;
+// Keep the handle just past the toe, on screen
+function positionRotateHandle(ground, toe) {
+    const handle = document.getElementById('ar-rotate-handle');
+    const center = videoToScreen(projectToVideo(ground));
+    const tip = videoToScreen(projectToVideo(toe));
+    const direction = new THREE.Vector2(tip.x - center.x, tip.y - center.y);
+    if (direction.lengthSq() < 1) direction.set(1, 0);
+    direction.normalize().multiplyScalar(AR_MANUAL.handleGap);
+
+    const rect = arOverlayCanvas.getBoundingClientRect();
+    handle.style.left = `${THREE.MathUtils.clamp(tip.x + direction.x, 0, rect.width)}px`;
+    handle.style.top = `${THREE.MathUtils.clamp(tip.y + direction.y, 0, rect.height)}px`;
+}
 
-    arOverlayContext.fillStyle = 'rgba(255, 255, 0, 0.7)';
-    arOverlayContext.font = 'bold 16px Poppins';
-    arOverlayContext.textAlign = 'center';
-    arOverlayContext.fillText('📸 Pose detection active', centerX, centerY - 40);
-    arOverlayContext.fillText('Point camera at your feet', centerX, centerY - 20);
-    arOverlayContext.textAlign = 'left';
+// How the video sits in the AR container: scaled to cover it and centered, like object-fit: cover
+function getARVideoLayout() {
+    const rect = arOverlayCanvas.getBoundingClientRect();
+    const scale = Math.max(rect.width / arVideo.videoWidth, rect.height / arVideo.videoHeight);
+    return {
+        rect: rect,
+        scale: scale,
+        offsetX: (rect.width - arVideo.videoWidth * scale) / 2,
+        offsetY: (rect.height - arVideo.videoHeight * scale) / 2
+    };
 }
 
-// Draw indicator when no pose is detected at all
-function drawNoPoseIndicator() {
-    const centerX = arOverlayCanvas.width / 2;
-    const centerY = arOverlayCanvas.height / 2;
+// Client coordinates to normalized video coordinates, undoing the front-camera mirror
+function screenToVideo(clientX, clientY) {
+    const layout = getARVideoLayout();
+    const x = (clientX - layout.rect.left - layout.offsetX) / layout.scale / arVideo.videoWidth;
+    return {
+        x: AR_PROJECTION.mirrored ? 1 - x : x,
+        y: (clientY - layout.rect.top - layout.offsetY) / layout.scale / arVideo.videoHeight
+    };
+}
 
-    arOverlayContext.fillStyle = 'rgba(255, 107, 107, 0.7)';
-    arOverlayContext.font = 'bold 16px Poppins';
-    arOverlayContext.textAlign = 'center';
-    arOverlayContext.fillText('⚠️ Looking for person...', centerX, centerY - 20);
-    arOverlayContext.fillText('Make sure you are in the camera view', centerX, centerY);
-    arOverlayContext.textAlign = 'left';
+function screenToVideoPixels(point) {
+    const normalized = screenToVideo(point.x, point.y);
+    return new THREE.Vector2(normalized.x * arVideo.videoWidth, normalized.y * arVideo.videoHeight);
 }
 
-// Draw Foot Indicators
-function drawFootIndicators(leftAnkle, rightAnkle, leftFootIndex, rightFootIndex) {
-    const canvasWidth = arOverlayCanvas.width;
-    const canvasHeight = arOverlayCanvas.height;
+// Video pixels to pixels inside the AR container
+function videoToScreen(point) {
+    const layout = getARVideoLayout();
+    const x = AR_PROJECTION.mirrored ? arVideo.videoWidth - point.x : point.x;
+    return {
+        x: layout.offsetX + x * layout.scale,
+        y: layout.offsetY + point.y * layout.scale
+    };
+}
 
-    // Draw indicators for detected foot parts
-    if (leftAnkle) {
-        const x = leftAnkle.x * canvasWidth;
-        const y = leftAnkle.y * canvasHeight;
-        drawFootPoint(x, y, 'L👣', '#00ff00'); // Green for ankle
+// ============================================================================
+// AR SNAPSHOT BRANDING, COUNTDOWN & SHARING
+// ============================================================================
+
+const AR_PHOTO_SETTINGS_KEY = 'sneaker-ar-photo-settings';
+const AR_PHOTO_DEFAULTS = {
+    branding: true,
+    brandText: 'Sneaker Customizer',
+    showDesignName: true,
+    logo: null, // PNG data URL
+    countdown: 3
+};
+
+let arPhotoSettings = loadARPhotoSettings();
+let arBrandLogo = null;
+let arCountdownActive = false;
+let arPhotoFile = null;
+
+function loadARPhotoSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(AR_PHOTO_SETTINGS_KEY));
+        return { ...AR_PHOTO_DEFAULTS, ...stored };
+    } catch (error) {
+        return { ...AR_PHOTO_DEFAULTS };
     }
+}
 
-    if (rightAnkle) {
-        const x = rightAnkle.x * canvasWidth;
-        const y = rightAnkle.y * canvasHeight;
-        drawFootPoint(x, y, 'R👣', '#00ff00'); // Green for ankle
+function saveARPhotoSettings() {
+    try {
+        localStorage.setItem(AR_PHOTO_SETTINGS_KEY, JSON.stringify(arPhotoSettings));
+    } catch (error) {
+        // A large logo can exceed the storage quota, keep the settings for this session only
+        console.warn('Could not save AR photo settings:', error);
     }
+}
 
-    if (leftFootIndex) {
-        const x = leftFootIndex.x * canvasWidth;
-        const y = leftFootIndex.y * canvasHeight;
-        drawFootPoint(x, y, 'L👟', '#ff6b6b'); // Red for foot tip
+function loadARBrandLogo() {
+    arBrandLogo = null;
+    if (!arPhotoSettings.logo) return;
+
+    const image = new Image();
+    image.onload = () => {
+        arBrandLogo = image;
+    };
+    image.src = arPhotoSettings.logo;
+}
+
+function setupARPhotoControls() {
+    const brandingInput = document.getElementById('ar-brand-enabled');
+    const brandTextInput = document.getElementById('ar-brand-text');
+    const designNameInput = document.getElementById('ar-brand-design-name');
+    const countdownSelect = document.getElementById('ar-countdown-select');
+    const logoInput = document.getElementById('ar-brand-logo-input');
+    const clearLogoBtn = document.getElementById('ar-brand-logo-clear');
+
+    brandingInput.checked = arPhotoSettings.branding;
+    brandTextInput.value = arPhotoSettings.brandText;
+    designNameInput.checked = arPhotoSettings.showDesignName;
+    countdownSelect.value = String(arPhotoSettings.countdown);
+    clearLogoBtn.disabled = !arPhotoSettings.logo;
+    loadARBrandLogo();
+
+    brandingInput.addEventListener('change', () => {
+        arPhotoSettings.branding = brandingInput.checked;
+        saveARPhotoSettings();
+    });
+
+    brandTextInput.addEventListener('change', () => {
+        arPhotoSettings.brandText = brandTextInput.value.trim();
+        saveARPhotoSettings();
+    });
+
+    designNameInput.addEventListener('change', () => {
+        arPhotoSettings.showDesignName = designNameInput.checked;
+        saveARPhotoSettings();
+    });
+
+    countdownSelect.addEventListener('change', () => {
+        arPhotoSettings.countdown = parseInt(countdownSelect.value, 10);
+        saveARPhotoSettings();
+    });
+
+    document.getElementById('ar-brand-logo-btn').addEventListener('click', () => logoInput.click());
+    logoInput.addEventListener('change', async () => {
+        const file = logoInput.files[0];
+        logoInput.value = '';
+        if (!file) return;
+
+        try {
+            arPhotoSettings.logo = await readTextureImage(file);
+            clearLogoBtn.disabled = false;
+            loadARBrandLogo();
+            saveARPhotoSettings();
+        } catch (error) {
+            console.error('Error loading brand logo:', error);
+            updateARStatus('Could not read that logo image', 'error');
+        }
+    });
+
+    clearLogoBtn.addEventListener('click', () => {
+        arPhotoSettings.logo = null;
+        clearLogoBtn.disabled = true;
+        loadARBrandLogo();
+        saveARPhotoSettings();
+    });
+
+    const modal = document.getElementById('photo-preview-modal');
+    document.getElementById('close-photo-modal').addEventListener('click', closeARPhotoPreview);
+    document.getElementById('download-photo-btn').addEventListener('click', () => {
+        if (arPhotoFile) downloadBlob(arPhotoFile, arPhotoFile.name);
+    });
+    document.getElementById('share-photo-btn').addEventListener('click', shareARPhoto);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeARPhotoPreview();
+    });
+}
+
+// Frame, brand bar with logo and text, and the design name, all sized relative to the photo
+function drawARBranding(context, width, height) {
+    const unit = Math.min(width, height) / 40;
+    const barHeight = unit * 3.2;
+    const padding = unit * 1.2;
+
+    context.save();
+
+    const inset = unit * 0.3;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    context.lineWidth = unit * 0.6;
+    context.strokeRect(inset, inset, width - inset * 2, height - inset * 2);
+
+    const gradient = context.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, 'rgba(102, 126, 234, 0.92)');
+    gradient.addColorStop(1, 'rgba(118, 75, 162, 0.92)');
+    context.fillStyle = gradient;
+    context.fillRect(0, height - barHeight, width, barHeight);
+
+    const centerY = height - barHeight / 2;
+    let x = padding;
+
+    if (arBrandLogo) {
+        const logoHeight = barHeight * 0.7;
+        const logoWidth = logoHeight * arBrandLogo.width / arBrandLogo.height;
+        context.drawImage(arBrandLogo, x, centerY - logoHeight / 2, logoWidth, logoHeight);
+        x += logoWidth + unit * 0.6;
     }
 
-    if (rightFootIndex) {
-        const x = rightFootIndex.x * canvasWidth;
-        const y = rightFootIndex.y * canvasHeight;
-        drawFootPoint(x, y, 'R👟', '#ff6b6b'); // Red for foot tip
+    context.fillStyle = '#ffffff';
+    context.textBaseline = 'middle';
+
+    if (arPhotoSettings.brandText) {
+        context.font = `700 ${unit * 1.3}px Poppins, sans-serif`;
+        context.textAlign = 'left';
+        context.fillText(arPhotoSettings.brandText, x, centerY);
     }
 
-    // Draw connection line between ankle and foot for active foot
-    if (rightAnkle && rightFootIndex) {
-        drawFootConnection(rightAnkle, rightFootIndex, canvasWidth, canvasHeight, '#00ff00');
-    } else if (leftAnkle && leftFootIndex) {
-        drawFootConnection(leftAnkle, leftFootIndex, canvasWidth, canvasHeight, '#00ff00');
+    if (arPhotoSettings.showDesignName && designMetadata.name) {
+        context.font = `400 ${unit * 1.1}px Poppins, sans-serif`;
+        context.textAlign = 'right';
+        context.fillText(designMetadata.name, width - padding, centerY);
     }
+
+    context.restore();
 }
 
-// Draw individual foot point
-function drawFootPoint(x, y, label, color = '#00ff00') {
-    // Draw circle
-    arOverlayContext.fillStyle = color;
-    arOverlayContext.beginPath();
-    arOverlayContext.arc(x, y, 10, 0, 2 * Math.PI);
-    arOverlayContext.fill();
+// Counts down on top of the camera feed, resolves when it reaches zero or AR is left
+function runARCountdown(seconds) {
+    const countdown = document.getElementById('ar-countdown');
+    const captureBtn = document.getElementById('ar-capture-btn');
+    arCountdownActive = true;
+    captureBtn.disabled = true;
+
+    return new Promise(resolve => {
+        let remaining = seconds;
+
+        const tick = () => {
+            if (remaining === 0 || !isARMode) {
+                countdown.classList.add('hidden');
+                arCountdownActive = false;
+                captureBtn.disabled = false;
+                resolve();
+                return;
+            }
 
-    // Draw white border
-    arOverlayContext.strokeStyle = '#ffffff';
-    arOverlayContext.lineWidth = 2;
-    arOverlayContext.stroke();
+            countdown.textContent = remaining;
+            countdown.classList.remove('hidden');
+            remaining--;
+            setTimeout(tick, 1000);
+        };
 
-    // Draw label
-    arOverlayContext.fillStyle = '#ffffff';
-    arOverlayContext.font = 'bold 14px Poppins';
-    arOverlayContext.shadowColor = '#000000';
-    arOverlayContext.shadowBlur = 3;
-    arOverlayContext.fillText(label, x + 15, y + 5);
-    arOverlayContext.shadowBlur = 0;
+        tick();
+    });
 }
 
-// Draw connection line between foot landmarks
-function drawFootConnection(ankle, footIndex, canvasWidth, canvasHeight, color = '#00ff00') {
-    const ankleX = ankle.x * canvasWidth;
-    const ankleY = ankle.y * canvasHeight;
-    const footX = footIndex.x * canvasWidth;
-    const footY = footIndex.y * canvasHeight;
+function showARPhotoPreview(blob) {
+    closeARPhotoPreview();
 
-    // Draw connection line
-    arOverlayContext.strokeStyle = color;
-    arOverlayContext.lineWidth = 3;
-    arOverlayContext.setLineDash([5, 5]); // Dashed line
-    arOverlayContext.beginPath();
-    arOverlayContext.moveTo(ankleX, ankleY);
-    arOverlayContext.lineTo(footX, footY);
-    arOverlayContext.stroke();
-    arOverlayContext.setLineDash([]); // Reset to solid line
+    arPhotoFile = new File([blob], `sneaker-ar-${Date.now()}.png`, { type: 'image/png' });
+
+    // Sharing needs the click on the Share button itself, the countdown uses up the capture click
+    const canShare = navigator.canShare && navigator.canShare({ files: [arPhotoFile] });
+    document.getElementById('share-photo-btn').classList.toggle('hidden', !canShare);
+
+    document.getElementById('photo-preview-image').src = URL.createObjectURL(blob);
+    document.getElementById('photo-preview-modal').style.display = 'block';
 }
 
-// Position AR Shoe
-function positionARShoe(leftAnkle, rightAnkle, leftFootIndex, rightFootIndex) {
-    if (!arShoeModel || !arCamera) return;
+function closeARPhotoPreview() {
+    const image = document.getElementById('photo-preview-image');
+    if (image.src) {
+        URL.revokeObjectURL(image.src);
+        image.removeAttribute('src');
+    }
 
-    // Determine which foot to use and get both ankle and foot landmarks
-    let ankle = null;
-    let footIndex = null;
-    let isLeftFoot = false;
+    document.getElementById('photo-preview-modal').style.display = 'none';
+    arPhotoFile = null;
+}
 
-    // Prefer right foot, but use left if right is not available
-    if (rightAnkle && rightFootIndex) {
-        ankle = rightAnkle;
-        footIndex = rightFootIndex;
-        isLeftFoot = false;
-    } else if (leftAnkle && leftFootIndex) {
-        ankle = leftAnkle;
-        footIndex = leftFootIndex;
-        isLeftFoot = true;
-    }
-
-    if (ankle && footIndex) {
-        // Calculate foot center position (between ankle and foot index)
-        const footCenterX = (ankle.x + footIndex.x) / 2;
-        const footCenterY = (ankle.y + footIndex.y) / 2;
-
-        // Convert normalized coordinates to 3D world position
-        // Adjust scale based on distance from camera (Z depth simulation)
-        const screenX = (footCenterX - 0.5) * 6; // Reduced scale for better positioning
-        const screenY = -(footCenterY - 0.5) * 6; // Flip Y and reduce scale
-
-        // Position shoe slightly forward from the foot center
-        const footForwardOffset = 0.2; // Move shoe slightly towards toes
-        const offsetX = (footIndex.x - ankle.x) * footForwardOffset;
-        const offsetY = -(footIndex.y - ankle.y) * footForwardOffset;
-
-        // Final position with offset
-        const finalX = screenX + offsetX;
-        const finalY = screenY + offsetY;
-        const finalZ = -2; // Place slightly in front of camera
-
-        // Position the shoe
-        arShoeModel.position.set(finalX, finalY, finalZ);
-
-        // Calculate foot orientation
-        const footDirection = {
-            x: footIndex.x - ankle.x,
-            y: footIndex.y - ankle.y
-        };
+async function shareARPhoto() {
+    if (!arPhotoFile) return;
+
+    try {
+        await navigator.share({
+            files: [arPhotoFile],
+            title: designMetadata.name || 'My sneaker design',
+            text: 'Check out my custom sneakers 👟'
+        });
+    } catch (error) {
+        // Dismissing the share sheet is not an error, anything else falls back to a download
+        if (error.name !== 'AbortError') {
+            console.error('Error sharing AR photo:', error);
+            downloadBlob(arPhotoFile, arPhotoFile.name);
+        }
+    }
+}
 
-        // Calculate rotation angles
-        const footAngle = Math.atan2(footDirection.y, footDirection.x);
+// ============================================================================
+// AR VIDEO RECORDING
+// ============================================================================
 
-        // Apply rotation (adjust for foot orientation)
-        arShoeModel.rotation.set(0, 0, -footAngle); // Negative for correct orientation
+const AR_RECORD_FPS = 30;
+const AR_RECORD_BITRATE = 5000000;
 
-        // Mirror shoe for left foot
-        if (isLeftFoot) {
-            arShoeModel.rotation.y = Math.PI; // Flip for left foot
+let arRecording = null;
+let arRecordingPending = false; // Waiting on the microphone prompt
+let arRecordedClip = null;
+
+function setupARRecordingControls() {
+    document.getElementById('ar-record-btn').addEventListener('click', () => {
+        if (arRecording) {
+            stopARRecording();
         } else {
-            arShoeModel.rotation.y = 0; // Normal for right foot
+            startARRecording();
         }
+    });
 
-        // Adjust scale based on foot size (distance between ankle and foot)
-        const footLength = Math.sqrt(
-            Math.pow(footIndex.x - ankle.x, 2) +
-            Math.pow(footIndex.y - ankle.y, 2)
-        );
+    const modal = document.getElementById('record-preview-modal');
+    document.getElementById('close-record-modal').addEventListener('click', discardARClip);
+    document.getElementById('discard-clip-btn').addEventListener('click', discardARClip);
+    document.getElementById('download-clip-btn').addEventListener('click', () => {
+        if (!arRecordedClip) return;
+        downloadBlob(arRecordedClip.blob, `sneaker-ar-${Date.now()}.webm`);
+        discardARClip();
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) discardARClip();
+    });
+}
 
-        // Dynamic scale based on foot size (with reasonable limits)
-        const dynamicScale = Math.max(0.05, Math.min(0.15, footLength * 2));
-        arShoeModel.scale.set(dynamicScale, dynamicScale, dynamicScale);
+async function startARRecording() {
+    if (arRecording || arRecordingPending || !isARMode || !arVideo.videoWidth) return;
 
-        // Make shoe visible
-        arShoeModel.visible = true;
+    const mimeType = WEBM_MIME_TYPES.find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        updateARStatus('Video recording is not supported in this browser', 'error');
+        return;
+    }
 
-        console.log(`Shoe positioned at: (${finalX.toFixed(2)}, ${finalY.toFixed(2)}, ${finalZ}) 
-                     Scale: ${dynamicScale.toFixed(3)} 
-                     Foot: ${isLeftFoot ? 'Left' : 'Right'}
-                     Angle: ${(footAngle * 180 / Math.PI).toFixed(1)}°`);
-    } else {
-        // Hide shoe if foot landmarks are not available
-        if (arShoeModel) arShoeModel.visible = false;
+    const recordCanvas = document.createElement('canvas');
+    recordCanvas.width = arVideo.videoWidth;
+    recordCanvas.height = arVideo.videoHeight;
+
+    const stream = recordCanvas.captureStream(AR_RECORD_FPS);
+
+    // Microphone is optional, a refusal still records a silent clip
+    let audioStream = null;
+    if (document.getElementById('ar-record-audio').checked) {
+        arRecordingPending = true;
+        try {
+            audioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            audioStream.getAudioTracks().forEach(track => stream.addTrack(track));
+        } catch (error) {
+            console.warn('Microphone unavailable, recording without audio:', error);
+            updateARStatus('🎙️ No microphone access - recording without sound', 'detecting');
+        }
+        arRecordingPending = false;
+
+        // Left AR while the prompt was open
+        if (!isARMode) {
+            stream.getTracks().forEach(track => track.stop());
+            if (audioStream) audioStream.getTracks().forEach(track => track.stop());
+            return;
+        }
     }
-}
 
-// Resize AR Canvases
-function resizeARCanvases() {
-    if (!arVideo || !arOverlayCanvas || !ar3DCanvas) return;
+    const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: AR_RECORD_BITRATE });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
 
-    const videoWidth = arVideo.videoWidth;
-    const videoHeight = arVideo.videoHeight;
+    const recording = {
+        recorder: recorder,
+        stream: stream,
+        audioStream: audioStream,
+        context: recordCanvas.getContext('2d'),
+        startTime: performance.now(),
+        limit: parseInt(document.getElementById('ar-record-limit').value, 10) * 1000,
+        frameId: null
+    };
 
-    if (videoWidth && videoHeight) {
-        // Resize both canvases
-        arOverlayCanvas.width = videoWidth;
-        arOverlayCanvas.height = videoHeight;
-        ar3DCanvas.width = videoWidth;
-        ar3DCanvas.height = videoHeight;
+    recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        if (audioStream) audioStream.getTracks().forEach(track => track.stop());
 
-        // Update AR camera aspect ratio
-        if (arCamera) {
-            arCamera.aspect = videoWidth / videoHeight;
-            arCamera.updateProjectionMatrix();
+        if (chunks.length > 0) {
+            showARClipPreview(new Blob(chunks, { type: 'video/webm' }));
         }
+    };
 
-        // Update AR renderer size
-        if (arRenderer) {
-            arRenderer.setSize(videoWidth, videoHeight);
-        }
-    }
+    arRecording = recording;
+    recorder.start(1000);
+    drawARRecordingFrame();
+
+    const recordBtn = document.getElementById('ar-record-btn');
+    recordBtn.textContent = '⏹️ Stop Recording';
+    recordBtn.classList.add('recording');
+    document.getElementById('ar-record-timer').classList.remove('hidden');
+    document.getElementById('ar-record-audio').disabled = true;
+    document.getElementById('ar-record-limit').disabled = true;
+
+    console.log('AR recording started:', mimeType, audioStream ? 'with audio' : 'without audio');
 }
 
-// Update AR Status
-function updateARStatus(message, type = '') {
-    const statusElement = document.getElementById('ar-status');
-    if (statusElement) {
-        statusElement.textContent = message;
-        statusElement.className = `ar-status ${type}`;
+// Composite every display frame into the recording canvas and enforce the duration limit
+function drawARRecordingFrame() {
+    const recording = arRecording;
+    if (!recording) return;
+
+    const elapsed = performance.now() - recording.startTime;
+    updateARRecordingTimer(elapsed, recording.limit);
+
+    if (elapsed >= recording.limit) {
+        stopARRecording();
+        return;
     }
+
+    drawARComposite(recording.context, false);
+    recording.frameId = requestAnimationFrame(drawARRecordingFrame);
 }
 
-// Capture AR Photo
-function captureARPhoto() {
-    if (!arOverlayCanvas || !ar3DCanvas || !arVideo) return;
+function stopARRecording() {
+    const recording = arRecording;
+    if (!recording) return;
 
-    try {
-        // Create a temporary canvas for the combined image
-        const tempCanvas = document.createElement('canvas');
-        const tempContext = tempCanvas.getContext('2d');
+    arRecording = null;
+    cancelAnimationFrame(recording.frameId);
+    if (recording.recorder.state !== 'inactive') {
+        recording.recorder.stop();
+    }
 
-        tempCanvas.width = arVideo.videoWidth;
-        tempCanvas.height = arVideo.videoHeight;
+    const recordBtn = document.getElementById('ar-record-btn');
+    recordBtn.textContent = '⏺️ Record Clip';
+    recordBtn.classList.remove('recording');
+    document.getElementById('ar-record-timer').classList.add('hidden');
+    document.getElementById('ar-record-audio').disabled = false;
+    document.getElementById('ar-record-limit').disabled = false;
 
-        // Draw video frame
-        tempContext.drawImage(arVideo, 0, 0);
+    console.log('AR recording stopped');
+}
 
-        // Draw 3D AR content
-        tempContext.drawImage(ar3DCanvas, 0, 0);
+function updateARRecordingTimer(elapsed, limit) {
+    const format = ms => {
+        const seconds = Math.floor(ms / 1000);
+        return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    };
 
-        // Draw overlay indicators
-        tempContext.drawImage(arOverlayCanvas, 0, 0);
+    document.getElementById('ar-record-timer').textContent = `● ${format(elapsed)} / ${format(limit)}`;
+}
 
-        // Convert to blob and download
-        tempCanvas.toBlob((blob) => {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `sneaker-ar-${Date.now()}.png`;
-            a.click();
-            URL.revokeObjectURL(url);
-        }, 'image/png');
+function showARClipPreview(blob) {
+    discardARClip();
 
-        updateARStatus('📸 Photo captured!', 'success');
-        setTimeout(() => updateARStatus('Feet detected! 👟', 'success'), 2000);
+    arRecordedClip = { blob: blob, url: URL.createObjectURL(blob) };
 
-    } catch (error) {
-        console.error('Error capturing AR photo:', error);
-        updateARStatus('Error capturing photo', 'error');
+    const video = document.getElementById('record-preview-video');
+    video.src = arRecordedClip.url;
+    document.getElementById('record-preview-size').textContent = `${(blob.size / 1048576).toFixed(1)} MB`;
+    document.getElementById('record-preview-modal').style.display = 'block';
+    video.play().catch(() => {});
+}
+
+function discardARClip() {
+    const video = document.getElementById('record-preview-video');
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    document.getElementById('record-preview-modal').style.display = 'none';
+
+    if (arRecordedClip) {
+        URL.revokeObjectURL(arRecordedClip.url);
+        arRecordedClip = null;
     }
 }
 
@@ -1266,11 +6804,12 @@ function debugARStatus() {
     console.log('arVideo playing:', arVideo ? !arVideo.paused : 'N/A');
     console.log('arVideo readyState:', arVideo ? arVideo.readyState : 'N/A');
     console.log('arVideo srcObject:', arVideo ? !!arVideo.srcObject : 'N/A');
+    console.log('Foot tracker:', activeTracker ? activeTracker.label : 'none');
     console.log('MediaPipe pose:', pose);
     console.log('arOverlayCanvas:', arOverlayCanvas);
     console.log('ar3DCanvas:', ar3DCanvas);
     console.log('arRenderer:', arRenderer);
-    console.log('arShoeModel visible:', arShoeModel ? arShoeModel.visible : 'N/A');
+    console.log('AR shoes visible:', arShoeModels.left ? `left ${arShoeModels.left.visible}, right ${arShoeModels.right.visible}` : 'N/A');
     console.log('arContainer hidden:', document.getElementById('ar-container')?.classList.contains('hidden'));
     console.log('isMobile:', isMobile);
     console.log('========================');
@@ -1308,6 +6847,9 @@ document.addEventListener('DOMContentLoaded', () => {
         // Add debug functions to window for testing
         window.debugAR = debugARStatus;
         window.testPose = testPoseDetection;
+        window.arTracking = AR_TRACKING;
+        window.arProjection = AR_PROJECTION;
+        window.arManual = AR_MANUAL;
     }, 1000);
 });
 
@@ -1315,5 +6857,6 @@ document.addEventListener('DOMContentLoaded', () => {
 window.addEventListener('resize', () => {
     if (isARMode) {
         resizeARCanvases();
+        if (arManualPlacement) renderManualPlacement();
     }
 });